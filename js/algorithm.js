@@ -21,10 +21,60 @@ export function normalizeCzechText(text) {
 // Known invalid words to filter out
 const INVALID_WORDS = new Set(['wnd22']);
 
+/**
+ * Letter box state codes shared by the grid, URL state and feedback
+ * (UNSET marks a box the user has not colored yet; feedback never contains it)
+ */
+export const LETTER_STATES = Object.freeze({
+    GRAY: 0,
+    ORANGE: 1,
+    BLUE: 2,
+    GREEN: 3,
+    UNSET: 4
+});
+
+// Letters with their own bit in compiled masks; anything else shares OTHER_LETTER
+const ALPHABET_START = 'a'.charCodeAt(0);
+const ALPHABET_SIZE = 26;
+const OTHER_LETTER = ALPHABET_SIZE;
+const ALL_LETTERS_MASK = (1 << (ALPHABET_SIZE + 1)) - 1;
+
+/**
+ * Maps a normalized letter to its bit index
+ */
+function letterIndex(letter) {
+    const index = letter.charCodeAt(0) - ALPHABET_START;
+    return index >= 0 && index < ALPHABET_SIZE && letter.length === 1 ? index : OTHER_LETTER;
+}
+
+/**
+ * Encodes characters as letter indices, per-letter counts and a presence mask
+ * @param {Array} chars - Normalized characters
+ * @returns {Object} { codes, counts, mask }
+ */
+function encodeLetters(chars) {
+    // Positions past the end of a short word hold no real letter
+    const codes = new Uint8Array(Math.max(chars.length, 5)).fill(OTHER_LETTER);
+    const counts = new Uint8Array(ALPHABET_SIZE + 1);
+    let mask = 0;
+    
+    chars.forEach((letter, pos) => {
+        const index = letterIndex(letter);
+        codes[pos] = index;
+        counts[index]++;
+        mask |= 1 << index;
+    });
+    
+    return { codes, counts, mask };
+}
+
 /**
  * Creates metadata for a word to speed up constraint checking
+ * @param {string} word - Normalized word
+ * @param {number|null} id - Position in the word list, indexes per-word caches
+ * @param {number|null} frequency - Commonness from frequencies.txt (null when unknown)
  */
-function createWordMetadata(word) {
+function createWordMetadata(word, id = null, frequency = null) {
     const chars = [...word];
     const letterCounts = {};
     
@@ -32,13 +82,51 @@ function createWordMetadata(word) {
         letterCounts[letter] = (letterCounts[letter] || 0) + 1;
     }
     
-    return { word, chars, letterCounts };
+    return { id, word, chars, letterCounts, prior: priorWeight(frequency), ...encodeLetters(chars) };
+}
+
+/**
+ * Prior weight of a word being the answer; logarithmic so that very common
+ * words are preferred without drowning out the rest
+ * @param {number|null} frequency - Commonness count, null without a frequency list
+ * @returns {number} Weight, 1 for unknown words
+ */
+function priorWeight(frequency) {
+    return frequency > 0 ? 1 + Math.log1p(frequency) : 1;
+}
+
+/**
+ * Prior weight of word metadata (metadata built without one is uniform)
+ */
+function priorOf(wordMeta) {
+    return wordMeta.prior ?? 1;
+}
+
+// Encoded letters for metadata built without them (e.g. by tests)
+const encodedLettersCache = new WeakMap();
+
+/**
+ * Returns the encoded letters of word metadata, computing them when missing
+ */
+function encodedLetters(wordMeta) {
+    if (wordMeta.codes) {
+        return wordMeta;
+    }
+    
+    let encoded = encodedLettersCache.get(wordMeta);
+    if (!encoded) {
+        encoded = encodeLetters(wordMeta.chars);
+        encodedLettersCache.set(wordMeta, encoded);
+    }
+    return encoded;
 }
 
 /**
  * Parses concatenated words into array with metadata
+ * @param {string} content - Concatenated 5-letter words
+ * @param {Map<string, number>|null} frequencies - Commonness by normalized word (see parseFrequencies)
  */
-export function parseWordsFromContent(content) {
+export function parseWordsFromContent(content, frequencies = null) {
     const words = [];
     
     for (let i = 0; i < content.length; i += 5) {
@@ -47,7 +135,7 @@ export function parseWordsFromContent(content) {
             const normalized = normalizeCzechText(word);
             
             if (!INVALID_WORDS.has(normalized) && normalized.length === 5) {
-                words.push(createWordMetadata(normalized));
+                words.push(createWordMetadata(normalized, words.length, frequencies?.get(normalized) ?? 0));
             }
         }
     }
@@ -57,22 +145,73 @@ export function parseWordsFromContent(content) {
 }
 
 /**
- * Loads words from file (works in both browser and Node.js)
+ * Parses a word frequency list: one "word count" pair per line, # starts a comment
+ * @param {string} content - Frequency file content
+ * @returns {Map<string, number>} Count by normalized word
+ */
+export function parseFrequencies(content) {
+    const frequencies = new Map();
+    
+    for (const line of content.split('\n')) {
+        const [word, count] = line.replace(/#.*/, '').trim().split(/\s+/);
+        const value = Number(count);
+        
+        if (word && Number.isFinite(value) && value >= 0) {
+            frequencies.set(normalizeCzechText(word), value);
+        }
+    }
+    
+    return frequencies;
+}
+
+/**
+ * Loads the optional word frequency list (works in both browser and Node.js)
+ * @returns {Promise<Map<string, number>|null>} Count by word, null when there is no list
+ */
+export async function loadWordFrequencies() {
+    try {
+        // Node.js environment
+        if (typeof window === 'undefined' && typeof process !== 'undefined') {
+            const { readFileSync, existsSync } = await import('fs');
+            const { join } = await import('path');
+            const path = join(process.cwd(), 'frequencies.txt');
+            return existsSync(path) ? parseFrequencies(readFileSync(path, 'utf-8')) : null;
+        }
+        // Browser environment; an SPA fallback may answer a missing file with index.html
+        else {
+            const response = await fetch(new URL('../frequencies.txt', import.meta.url));
+            const type = response.headers.get('content-type') ?? '';
+            if (!response.ok || (type && !type.startsWith('text/plain'))) return null;
+            
+            const content = await response.text();
+            return content.trimStart().startsWith('<') ? null : parseFrequencies(content);
+        }
+    } catch (error) {
+        console.warn('Failed to load word frequencies:', error);
+        return null;
+    }
+}
+
+/**
+ * Loads words from file, weighted by frequencies.txt when present
+ * (works in both browser and Node.js)
  */
 export async function loadWordsFromFile() {
     try {
+        const frequencies = await loadWordFrequencies();
+        
         // Node.js environment
         if (typeof window === 'undefined' && typeof process !== 'undefined') {
             const { readFileSync } = await import('fs');
             const { join } = await import('path');
             const content = readFileSync(join(process.cwd(), 'words.txt'), 'utf-8');
-            return parseWordsFromContent(content.trim());
+            return parseWordsFromContent(content.trim(), frequencies);
         } 
-        // Browser environment
+        // Browser environment (resolved from this module so it also works in a worker)
         else {
-            const response = await fetch('./words.txt');
+            const response = await fetch(new URL('../words.txt', import.meta.url));
             const content = await response.text();
-            return parseWordsFromContent(content.trim());
+            return parseWordsFromContent(content.trim(), frequencies);
         }
     } catch (error) {
         console.error('Failed to load words:', error);
@@ -81,304 +220,634 @@ export async function loadWordsFromFile() {
 }
 
 /**
- * Normalizes constraint objects by applying Czech text normalization
- * @param {Object} constraints - Raw constraints from UI
- * @returns {Object} Normalized constraints
+ * Computes a short fingerprint of the word list (FNV-1a), used to detect
+ * precomputed data that no longer matches words.txt
+ * @param {Array} wordMetadata - Word metadata list
+ * @returns {string} Hexadecimal hash
  */
-function normalizeConstraints(constraints) {
-    const { green = {}, blue = {}, orange = {}, gray = new Set() } = constraints;
-    
-    const normalizedGreen = Object.fromEntries(
-        Object.entries(green).map(([pos, letter]) => [pos, normalizeCzechText(letter)])
-    );
-    
-    const normalizedBlue = Object.fromEntries(
-        Object.entries(blue).map(([pos, letter]) => [pos, normalizeCzechText(letter)])
-    );
+export function hashWords(wordMetadata) {
+    let hash = 0x811c9dc5;
     
-    const normalizedOrange = Object.fromEntries(
-        Object.entries(orange).map(([letter, positions]) => [normalizeCzechText(letter), positions])
-    );
-    
-    const normalizedGray = new Set([...gray].map(letter => normalizeCzechText(letter)));
+    for (const { word } of wordMetadata) {
+        for (let i = 0; i < word.length; i++) {
+            hash ^= word.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+    }
     
-    return { normalizedGreen, normalizedBlue, normalizedOrange, normalizedGray };
+    return (hash >>> 0).toString(16).padStart(8, '0');
 }
 
 /**
- * Check all constraints for a word
- * @param {Object} wordMeta - Word metadata with chars and letterCounts
- * @param {Object} normalizedConstraints - Normalized constraints
- * @returns {Object} Validation result with valid flag and optional reason
+ * Computes a fingerprint of the word priors, used to detect precomputed data
+ * ranked with other frequencies
+ * @param {Array} wordMetadata - Word metadata list
+ * @returns {string|null} Hexadecimal hash, null when all words are equally likely
  */
-function checkConstraints(wordMeta, normalizedConstraints) {
-    const { chars, letterCounts } = wordMeta;
-    const { normalizedGreen, normalizedBlue, normalizedOrange, normalizedGray } = normalizedConstraints;
-    
-    // Check position constraints first (most likely to fail fast)
-    const positionResult = checkPositionConstraints(chars, normalizedGreen, normalizedBlue);
-    if (!positionResult.valid) return positionResult;
+export function hashPriors(wordMetadata) {
+    if (wordMetadata.every(meta => priorOf(meta) === priorOf(wordMetadata[0]))) {
+        return null;
+    }
     
-    // Check orange constraints
-    const orangeResult = checkOrangeConstraints(chars, letterCounts, normalizedOrange);
-    if (!orangeResult.valid) return orangeResult;
+    let hash = 0x811c9dc5;
+    for (const meta of wordMetadata) {
+        const key = `${meta.word}:${priorOf(meta).toFixed(6)}`;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+    }
     
-    // Check letter count constraints
-    const countResult = checkLetterCountConstraints(letterCounts, normalizedGreen, normalizedBlue, normalizedOrange);
-    if (!countResult.valid) return countResult;
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Probability of each candidate being the answer, proportional to its prior
+ * @param {Array} candidates - Metadata of words that may still be the answer
+ * @returns {Map<string, number>} Probability by word (uniform without a frequency list)
+ */
+export function answerProbabilities(candidates) {
+    const total = candidates.reduce((sum, meta) => sum + priorOf(meta), 0);
+    return new Map(candidates.map(meta => [meta.word, priorOf(meta) / total]));
+}
+
+/**
+ * Loads the precomputed opening book (works in both browser and Node.js)
+ * @returns {Promise<Object|null>} Opening book or null when unavailable
+ */
+export async function loadOpeningBook() {
+    try {
+        // Node.js environment
+        if (typeof window === 'undefined' && typeof process !== 'undefined') {
+            const { readFileSync, existsSync } = await import('fs');
+            const { join } = await import('path');
+            const path = join(process.cwd(), 'opening-book.json');
+            return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : null;
+        }
+        // Browser environment
+        else {
+            const response = await fetch(new URL('../opening-book.json', import.meta.url));
+            return response.ok ? await response.json() : null;
+        }
+    } catch (error) {
+        console.warn('Failed to load opening book:', error);
+        return null;
+    }
+}
+
+/**
+ * Creates empty knowledge about a single letter
+ */
+function createLetterKnowledge() {
+    return {
+        min: 0,
+        max: 5,
+        positions: new Set(),
+        forbidden: new Set(),
+        // Row index that established each fact (null for flat constraints)
+        sources: { min: null, max: null, positions: {}, forbidden: {} }
+    };
+}
+
+/**
+ * Narrows a letter's count range to the given bounds
+ */
+function narrowCount(letterKnowledge, min, max, source = null) {
+    if (min > letterKnowledge.min) {
+        letterKnowledge.min = min;
+        letterKnowledge.sources.min = source;
+    }
+    if (max < letterKnowledge.max) {
+        letterKnowledge.max = max;
+        letterKnowledge.sources.max = source;
+    }
+}
+
+/**
+ * Records a required or forbidden position together with its source row
+ */
+function addPosition(letterKnowledge, kind, pos, source = null) {
+    letterKnowledge[kind].add(pos);
+    letterKnowledge.sources[kind][pos] ??= source;
+}
+
+/**
+ * Derives per-letter knowledge from guessed rows and their feedback
+ *
+ * Each row is read on its own, following the feedback rules of computeFeedback:
+ * - green/blue fix the letter at that position, orange/gray forbid it there
+ * - blue means another unmatched copy exists, green means none is left
+ * - a gray copy caps the count at the copies colored in the same row
+ * - unset boxes tell nothing, but may hide further copies of a capped letter
+ * Row facts are then intersected (highest minimum, lowest maximum).
+ *
+ * @param {Array<{word: string, states: Array<number>}>} rows - Guessed rows
+ * @returns {Object} Knowledge with letters map: letter -> { min, max, positions, forbidden, sources }
+ */
+export function deriveKnowledge(rows) {
+    const letters = {};
     
-    // Check gray constraints
-    const grayResult = checkGrayConstraints(letterCounts, normalizedGray, normalizedGreen, normalizedBlue, normalizedOrange);
-    if (!grayResult.valid) return grayResult;
+    rows.forEach(({ word, states }, rowIndex) => {
+        const chars = [...normalizeCzechText(word)];
+        const rowLetters = {};
+        
+        chars.forEach((letter, pos) => {
+            const state = states[pos];
+            const row = rowLetters[letter] ??= { exact: 0, orange: 0, gray: 0, unset: 0, blue: false, green: false };
+            const letterKnowledge = letters[letter] ??= createLetterKnowledge();
+            
+            switch (state) {
+                case LETTER_STATES.GREEN:
+                case LETTER_STATES.BLUE:
+                    row.exact++;
+                    row.green ||= state === LETTER_STATES.GREEN;
+                    row.blue ||= state === LETTER_STATES.BLUE;
+                    addPosition(letterKnowledge, 'positions', pos, rowIndex);
+                    break;
+                case LETTER_STATES.ORANGE:
+                    row.orange++;
+                    addPosition(letterKnowledge, 'forbidden', pos, rowIndex);
+                    break;
+                case LETTER_STATES.GRAY:
+                    row.gray++;
+                    addPosition(letterKnowledge, 'forbidden', pos, rowIndex);
+                    break;
+                default:
+                    // Unset (or undecided) boxes
+                    row.unset++;
+                    break;
+            }
+        });
+        
+        for (const [letter, row] of Object.entries(rowLetters)) {
+            const colored = row.exact + row.orange;
+            const min = row.blue ? row.exact + Math.max(row.orange, 1) : colored;
+            let max = 5;
+            
+            if (row.green) max = row.exact + row.unset;
+            if (row.gray > 0) max = Math.min(max, colored + row.unset);
+            
+            narrowCount(letters[letter], min, max, rowIndex);
+        }
+    });
     
-    return { valid: true };
+    return { letters };
 }
 
 /**
- * Check green and blue position constraints
- * @param {Array} chars - Word characters array
- * @param {Object} normalizedGreen - Green letter constraints
- * @param {Object} normalizedBlue - Blue letter constraints
- * @returns {Object} Validation result
+ * Translates legacy flat constraints (green/blue/orange/gray maps) into knowledge
+ *
+ * The flat maps cannot tell rows apart, so counts follow the original rules:
+ * green is exact, blue needs one more copy, gray caps the count at the
+ * colored copies (or excludes the letter entirely).
+ *
+ * @param {Object} constraints - Flat constraints { green, blue, orange, gray }
+ * @returns {Object} Knowledge with letters map
  */
-function checkPositionConstraints(chars, normalizedGreen, normalizedBlue) {
-    // Check green letters (exact position)
-    for (const [pos, letter] of Object.entries(normalizedGreen)) {
-        if (chars[pos] !== letter) {
-            return { valid: false, reason: `Green constraint failed: ${letter} not at position ${pos}` };
+function knowledgeFromFlatConstraints(constraints) {
+    const { green = {}, blue = {}, orange = {}, gray = new Set() } = constraints;
+    const letters = {};
+    const letterKnowledge = letter => letters[letter] ??= createLetterKnowledge();
+    
+    const greenPositions = {};
+    const bluePositions = {};
+    
+    for (const [pos, rawLetter] of Object.entries(green)) {
+        const letter = normalizeCzechText(rawLetter);
+        addPosition(letterKnowledge(letter), 'positions', parseInt(pos));
+        (greenPositions[letter] ??= new Set()).add(parseInt(pos));
+    }
+    
+    for (const [pos, rawLetter] of Object.entries(blue)) {
+        const letter = normalizeCzechText(rawLetter);
+        addPosition(letterKnowledge(letter), 'positions', parseInt(pos));
+        (bluePositions[letter] ??= new Set()).add(parseInt(pos));
+    }
+    
+    const orangeLetters = new Set();
+    for (const [rawLetter, positions] of Object.entries(orange)) {
+        const letter = normalizeCzechText(rawLetter);
+        orangeLetters.add(letter);
+        positions.forEach(pos => addPosition(letterKnowledge(letter), 'forbidden', parseInt(pos)));
+        narrowCount(letterKnowledge(letter), 1, 5);
+    }
+    
+    // Green and blue counts
+    for (const letter of new Set([...Object.keys(greenPositions), ...Object.keys(bluePositions)])) {
+        const greenSet = greenPositions[letter] || new Set();
+        const blueSet = bluePositions[letter] || new Set();
+        
+        if (blueSet.size === 0) {
+            // Green (alone or with orange) - exact count
+            narrowCount(letterKnowledge(letter), greenSet.size, greenSet.size);
+        } else if (greenSet.size === 0) {
+            // Blue - appears at its positions and at least once elsewhere
+            narrowCount(letterKnowledge(letter), blueSet.size + 1, 5);
+        } else {
+            const unique = new Set([...greenSet, ...blueSet]).size;
+            const overlaps = [...blueSet].some(pos => greenSet.has(pos));
+            const hasNonOverlappingBlue = [...blueSet].some(pos => !greenSet.has(pos));
+            
+            const min = overlaps
+                ? (hasNonOverlappingBlue ? unique + 1 : unique)
+                : greenSet.size + blueSet.size;
+            narrowCount(letterKnowledge(letter), min, 5);
         }
     }
     
-    // Check blue letters (correct position AND appears elsewhere)
-    for (const [pos, letter] of Object.entries(normalizedBlue)) {
-        if (chars[pos] !== letter) {
-            return { valid: false, reason: `Blue position constraint failed: ${letter} not at position ${pos}` };
+    // Gray letters
+    for (const rawLetter of gray) {
+        const letter = normalizeCzechText(rawLetter);
+        const greenCount = greenPositions[letter]?.size || 0;
+        const blueCount = bluePositions[letter]?.size || 0;
+        
+        if (greenCount || blueCount) {
+            // Only the colored copies exist
+            narrowCount(letterKnowledge(letter), greenCount + blueCount, greenCount + blueCount);
+        } else if (orangeLetters.has(letter)) {
+            narrowCount(letterKnowledge(letter), 1, 1);
+        } else {
+            narrowCount(letterKnowledge(letter), 0, 0);
         }
     }
     
-    return { valid: true };
+    return { letters };
+}
+
+/**
+ * Converts constraints from the grid into knowledge
+ * @param {Object} constraints - Either { rows } from the grid or legacy flat maps
+ * @returns {Object} Knowledge with letters map
+ */
+export function toKnowledge(constraints) {
+    return constraints.rows
+        ? deriveKnowledge(constraints.rows)
+        : knowledgeFromFlatConstraints(constraints);
 }
 
 /**
- * Check orange constraints (letter in word but not at specified positions)
- * @param {Array} chars - Word characters array
- * @param {Object} letterCounts - Letter count map
- * @param {Object} normalizedOrange - Orange letter constraints
- * @returns {Object} Validation result
+ * Collects knowledge violations of a word
+ *
+ * Violation types: 'position' (letter missing at a required position),
+ * 'forbidden' (letter at a forbidden position), 'min'/'max' (letter count
+ * out of range). Each violation carries the source row when known.
+ *
+ * @param {Object} wordMeta - Word metadata with chars and letterCounts
+ * @param {Object} knowledge - Knowledge from toKnowledge
+ * @param {boolean} firstOnly - Stop at the first violation
+ * @returns {Array<Object>} Violations (empty when the word matches)
  */
-function checkOrangeConstraints(chars, letterCounts, normalizedOrange) {
-    for (const [letter, wrongPositions] of Object.entries(normalizedOrange)) {
-        if (!letterCounts[letter]) {
-            return { valid: false, reason: `Orange constraint failed: ${letter} not in word` };
+function findViolations(wordMeta, knowledge, firstOnly = false) {
+    const { chars, letterCounts } = wordMeta;
+    const violations = [];
+    
+    // Check position constraints first (most likely to fail fast)
+    for (const [letter, { max, positions, forbidden, sources }] of Object.entries(knowledge.letters)) {
+        for (const pos of positions) {
+            if (chars[pos] !== letter) {
+                violations.push({ type: 'position', letter, position: pos, row: sources.positions[pos] });
+                if (firstOnly) return violations;
+            }
         }
         
-        for (const pos of wrongPositions) {
+        // Absent letters are reported once by the count check
+        if (max === 0) continue;
+        
+        for (const pos of forbidden) {
             if (chars[pos] === letter) {
-                return { valid: false, reason: `Orange constraint failed: ${letter} at forbidden position ${pos}` };
+                violations.push({ type: 'forbidden', letter, position: pos, row: sources.forbidden[pos] });
+                if (firstOnly) return violations;
             }
         }
     }
     
-    return { valid: true };
+    // Check letter counts
+    for (const [letter, { min, max, sources }] of Object.entries(knowledge.letters)) {
+        const actualCount = letterCounts[letter] || 0;
+        
+        if (actualCount < min) {
+            violations.push({ type: 'min', letter, actual: actualCount, expected: min, row: sources.min });
+        } else if (actualCount > max) {
+            violations.push({ type: 'max', letter, actual: actualCount, expected: max, row: sources.max });
+        } else {
+            continue;
+        }
+        if (firstOnly) return violations;
+    }
+    
+    return violations;
 }
 
 /**
- * Check letter count constraints for green and blue letters
- * @param {Object} letterCounts - Letter count map
- * @param {Object} normalizedGreen - Green letter constraints
- * @param {Object} normalizedBlue - Blue letter constraints  
- * @param {Object} normalizedOrange - Orange letter constraints
- * @returns {Object} Validation result
+ * Compiles knowledge into a fast word predicate
+ *
+ * Knowledge is turned once into a bitmask of allowed letters per position,
+ * a mask of letters that must appear and a list of count bounds, so checking
+ * a word is a handful of integer operations on its encoded letters.
+ * Accepts exactly the words findViolations accepts.
+ *
+ * @param {Object} knowledge - Knowledge from toKnowledge
+ * @returns {Function} (wordMeta) => boolean
  */
-function checkLetterCountConstraints(letterCounts, normalizedGreen, normalizedBlue, normalizedOrange) {
-    const greenLetters = new Set(Object.values(normalizedGreen));
-    const blueLetters = new Set(Object.values(normalizedBlue));
-    const orangeLetters = new Set(Object.keys(normalizedOrange));
+function compileKnowledge(knowledge) {
+    const allowed = new Array(5).fill(ALL_LETTERS_MASK);
+    const bounds = [];
+    let requiredMask = 0;
     
-    // Check green letter counts (exact count)
-    for (const letter of greenLetters) {
-        const greenCount = Object.values(normalizedGreen).filter(l => l === letter).length;
-        const actualCount = letterCounts[letter] || 0;
+    for (const [letter, { min, max, positions, forbidden }] of Object.entries(knowledge.letters)) {
+        const index = letterIndex(letter);
         
-        if (!blueLetters.has(letter) && !orangeLetters.has(letter)) {
-            // Pure green - exact count
-            if (actualCount !== greenCount) {
-                return { valid: false, reason: `Green count constraint failed: ${letter} has ${actualCount}, expected ${greenCount}` };
-            }
-        } else if (orangeLetters.has(letter) && !blueLetters.has(letter)) {
-            // Green + orange: Green overrides - exact count
-            if (actualCount !== greenCount) {
-                return { valid: false, reason: `Green+orange count constraint failed: ${letter} has ${actualCount}, expected ${greenCount}` };
-            }
-        } else if (blueLetters.has(letter)) {
-            // Green + blue: Need to check if they overlap
-            const blueCount = Object.values(normalizedBlue).filter(l => l === letter).length;
-            const greenPositions = Object.entries(normalizedGreen)
-                .filter(([_, l]) => l === letter)
-                .map(([pos, _]) => pos);
-            const bluePositions = Object.entries(normalizedBlue)
-                .filter(([_, l]) => l === letter)
-                .map(([pos, _]) => pos);
-            
-            // Check for position overlap
-            const overlappingPositions = bluePositions.filter(pos => greenPositions.includes(pos));
-            
-            if (overlappingPositions.length > 0) {
-                // Some positions overlap - those count once, others separately
-                const uniquePositions = new Set([...greenPositions, ...bluePositions]);
-                const minRequired = uniquePositions.size;
-                
-                // Since blue means "appears here AND elsewhere", we need at least one more
-                const hasNonOverlappingBlue = bluePositions.some(pos => !greenPositions.includes(pos));
-                if (hasNonOverlappingBlue) {
-                    // Non-overlapping blue needs extra occurrence
-                    if (actualCount < minRequired + 1) {
-                        return { valid: false, reason: `Green+blue count constraint failed: ${letter} has ${actualCount}, expected >= ${minRequired + 1}` };
-                    }
-                } else {
-                    // All blues overlap with greens - just need the positions
-                    if (actualCount < minRequired) {
-                        return { valid: false, reason: `Green+blue count constraint failed: ${letter} has ${actualCount}, expected >= ${minRequired}` };
-                    }
-                }
-            } else {
-                // No overlap - need green count + blue count + extra for blue
-                const minRequired = greenCount + blueCount;
-                if (actualCount < minRequired) {
-                    return { valid: false, reason: `Green+blue count constraint failed: ${letter} has ${actualCount}, expected >= ${minRequired}` };
-                }
-            }
+        // Letters without their own bit cannot be compiled exactly
+        if (index === OTHER_LETTER) {
+            return wordMeta => findViolations(wordMeta, knowledge, true).length === 0;
+        }
+        
+        const bit = 1 << index;
+        
+        for (const pos of positions) {
+            allowed[pos] &= bit;
+        }
+        for (const pos of forbidden) {
+            allowed[pos] &= ~bit;
+        }
+        if (max === 0) {
+            allowed.forEach((mask, pos) => allowed[pos] = mask & ~bit);
+        }
+        if (min > 0) {
+            requiredMask |= bit;
+        }
+        if (min > 1 || (max > 0 && max < 5)) {
+            bounds.push({ index, min, max });
         }
     }
     
-    // Check blue letter counts (minimum count)
-    for (const letter of blueLetters) {
-        // Skip if already handled in green section
-        if (greenLetters.has(letter)) {
-            continue;
-        }
-        
-        const blueCount = Object.values(normalizedBlue).filter(l => l === letter).length;
-        const actualCount = letterCounts[letter] || 0;
+    return (wordMeta) => {
+        const { codes, counts, mask } = encodedLetters(wordMeta);
         
-        // Blue means: appears at positions AND at least once elsewhere
-        if (actualCount <= blueCount) {
-            return { valid: false, reason: `Blue count constraint failed: ${letter} has ${actualCount}, expected > ${blueCount}` };
+        if ((mask & requiredMask) !== requiredMask) {
+            return false;
         }
+        for (let pos = 0; pos < allowed.length; pos++) {
+            if ((allowed[pos] & (1 << codes[pos])) === 0) {
+                return false;
+            }
+        }
+        for (const { index, min, max } of bounds) {
+            const count = counts[index];
+            if (count < min || count > max) {
+                return false;
+            }
+        }
+        return true;
+    };
+}
+
+/**
+ * Compiles constraints from the grid into a fast word predicate
+ *
+ * Rows with uncertain boxes accept a word when any of their readings does;
+ * rows are independent, so this equals the union over all readings of the grid.
+ *
+ * @param {Object} constraints - Either { rows } from the grid or legacy flat maps
+ * @returns {Function} (wordMeta) => boolean, true when the word may be the answer
+ */
+export function compileConstraints(constraints) {
+    if (!constraints.rows || !hasUncertainCells(constraints.rows)) {
+        return compileKnowledge(toKnowledge(constraints));
     }
     
-    return { valid: true };
+    const rowPredicates = expandRowReadings(constraints.rows).map(readings => {
+        const predicates = readings.map(({ row }) => compileKnowledge(deriveKnowledge([row])));
+        return wordMeta => predicates.some(matches => matches(wordMeta));
+    });
+    return wordMeta => rowPredicates.every(matches => matches(wordMeta));
 }
 
 /**
- * Check gray letter constraints
- * @param {Object} letterCounts - Letter count map
- * @param {Set} normalizedGray - Gray letter constraints
- * @param {Object} normalizedGreen - Green letter constraints
- * @param {Object} normalizedBlue - Blue letter constraints
- * @param {Object} normalizedOrange - Orange letter constraints
- * @returns {Object} Validation result
+ * Whether a box state is uncertain between several colors (an array of states)
+ * @param {number|Array<number>} state - Box state
+ * @returns {boolean} True for uncertain states
  */
-function checkGrayConstraints(letterCounts, normalizedGray, normalizedGreen, normalizedBlue, normalizedOrange) {
-    const greenLetters = new Set(Object.values(normalizedGreen));
-    const blueLetters = new Set(Object.values(normalizedBlue));
-    const orangeLetters = new Set(Object.keys(normalizedOrange));
+export function isUncertainState(state) {
+    return Array.isArray(state);
+}
+
+/**
+ * Whether any box of the rows is uncertain
+ */
+function hasUncertainCells(rows) {
+    return rows.some(({ states }) => states.some(isUncertainState));
+}
+
+// Uncertain boxes are expanded up to this many readings, further ones count as unset
+const MAX_INTERPRETATIONS = 64;
+
+/**
+ * Expands rows with uncertain boxes into every concrete reading
+ * @param {Array<{word: string, states: Array}>} rows - Rows, states may be arrays
+ * @returns {Array<{rows: Array, choices: Array<{row: number, position: number, state: number}>}>}
+ *   Concrete rows of each reading and the state picked for every uncertain box
+ */
+export function expandInterpretations(rows) {
+    let interpretations = [{
+        rows: rows.map(({ word, states }) => ({ word, states: [...states] })),
+        choices: []
+    }];
     
-    for (const letter of normalizedGray) {
-        const isSpecial = greenLetters.has(letter) || orangeLetters.has(letter) || blueLetters.has(letter);
-        
-        if (!isSpecial && letterCounts[letter]) {
-            // Letter is only gray - shouldn't appear at all
-            return { valid: false, reason: `Gray constraint failed: ${letter} appears but should not` };
-        } else if (isSpecial) {
-            // Letter appears in other constraints - calculate expected count
-            let requiredCount = 0;
-            
-            // Count green occurrences
-            if (greenLetters.has(letter)) {
-                requiredCount += Object.values(normalizedGreen).filter(l => l === letter).length;
-            }
+    rows.forEach(({ states }, row) => {
+        states.forEach((state, position) => {
+            if (!isUncertainState(state)) return;
             
-            // Count blue occurrences
-            if (blueLetters.has(letter)) {
-                requiredCount += Object.values(normalizedBlue).filter(l => l === letter).length;
+            if (interpretations.length * state.length > MAX_INTERPRETATIONS) {
+                interpretations.forEach(({ rows }) => rows[row].states[position] = LETTER_STATES.UNSET);
+                return;
             }
             
-            // Orange-only constraint
-            if (orangeLetters.has(letter) && !greenLetters.has(letter) && !blueLetters.has(letter)) {
-                requiredCount = Math.max(requiredCount, 1);
+            interpretations = interpretations.flatMap(({ rows, choices }) => state.map(option => {
+                const reading = rows.map(({ word, states }) => ({ word, states: [...states] }));
+                reading[row].states[position] = option;
+                return { rows: reading, choices: [...choices, { row, position, state: option }] };
+            }));
+        });
+    });
+    
+    return interpretations;
+}
+
+/**
+ * Expands every row on its own into the readings of its uncertain boxes
+ *
+ * Rows constrain the answer independently, so a grid reading exists exactly
+ * when every row has one; expanding per row keeps far below the
+ * MAX_INTERPRETATIONS cap that a whole-grid expansion runs into.
+ *
+ * @param {Array<{word: string, states: Array}>} rows - Rows, states may be arrays
+ * @returns {Array<Array<{row: Object, choices: Array}>>} Readings of each row;
+ *   choices carry the row's index in the grid
+ */
+function expandRowReadings(rows) {
+    return rows.map((row, rowIndex) => expandInterpretations([row]).map(({ rows: [reading], choices }) => ({
+        row: reading,
+        choices: choices.map(choice => ({ ...choice, row: rowIndex }))
+    })));
+}
+
+/**
+ * Finds which reading of the uncertain boxes a word satisfies
+ * @param {string} word - Word to check
+ * @param {Array<{word: string, states: Array}>} rows - Rows, states may be arrays
+ * @returns {Array<{row: number, position: number, state: number}>|null} State picked for
+ *   every uncertain box (empty without uncertain boxes), null when no reading fits
+ */
+export function matchInterpretation(word, rows) {
+    const wordMeta = createWordMetadata(normalizeCzechText(word));
+    const choices = [];
+    
+    for (const readings of expandRowReadings(rows)) {
+        const match = readings.find(({ row }) => compileKnowledge(deriveKnowledge([row]))(wordMeta));
+        
+        if (!match) return null;
+        choices.push(...match.choices);
+    }
+    
+    return choices;
+}
+
+/**
+ * Explains why a word is (or is not) excluded by the constraints
+ *
+ * With uncertain boxes the word is valid when every row has a reading that
+ * accepts it; otherwise each row's reading with the fewest violations is
+ * reported.
+ *
+ * @param {string} word - Word to explain
+ * @param {Object} constraints - Constraints from the grid
+ * @returns {Object} { valid, violation, violations } - first and all failing rules;
+ *   with uncertain boxes also `interpretation`, their states in the reported reading
+ */
+export function explainWord(word, constraints) {
+    const wordMeta = createWordMetadata(normalizeCzechText(word));
+    
+    if (!constraints.rows || !hasUncertainCells(constraints.rows)) {
+        const violations = findViolations(wordMeta, toKnowledge(constraints));
+        return {
+            valid: violations.length === 0,
+            violation: violations[0] || null,
+            violations
+        };
+    }
+    
+    // Pick the closest reading of each row, then explain the grid they form
+    const picked = expandRowReadings(constraints.rows).map(readings => {
+        let best = null;
+        for (const reading of readings) {
+            const count = findViolations(wordMeta, deriveKnowledge([reading.row])).length;
+            if (!best || count < best.count) {
+                best = { ...reading, count };
             }
+            if (count === 0) break;
+        }
+        return best;
+    });
+    const violations = findViolations(wordMeta, deriveKnowledge(picked.map(({ row }) => row)));
+    
+    return {
+        valid: violations.length === 0,
+        violation: violations[0] || null,
+        violations,
+        interpretation: picked.flatMap(({ choices }) => choices)
+    };
+}
+
+/**
+ * Finds the first hint from earlier rows that a guess does not reuse
+ *
+ * Hard mode rules: green and blue letters must stay at their positions and
+ * every orange letter must be played again (as many copies as were colored
+ * in that row).
+ *
+ * @param {Array} chars - Guess characters array (normalized)
+ * @param {Array<{word: string, states: Array<number>}>} rows - Guessed rows
+ * @returns {Object|null} { type: 'position'|'missing', letter, position, row, expected } or null
+ */
+function hardModeViolation(chars, rows) {
+    for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+        const { word, states } = rows[rowIndex];
+        const rowChars = [...normalizeCzechText(word)];
+        const required = {};
+        
+        for (let pos = 0; pos < rowChars.length; pos++) {
+            const letter = rowChars[pos];
+            const state = states[pos];
             
-            // Handle mixed constraints
-            const actualCount = letterCounts[letter] || 0;
-            
-            if (greenLetters.has(letter) && blueLetters.has(letter)) {
-                // Both green and blue constraints
-                // Green positions are fixed, blue positions need at least one more occurrence
-                // So the total count should be at least greenCount + blueCount + 1
-                const greenCount = Object.values(normalizedGreen).filter(l => l === letter).length;
-                const blueCount = Object.values(normalizedBlue).filter(l => l === letter).length;
-                const minRequired = greenCount + blueCount;
-                
-                // Check if all blue positions overlap with green positions
-                const bluePositions = Object.entries(normalizedBlue)
-                    .filter(([_, l]) => l === letter)
-                    .map(([pos, _]) => pos);
-                const greenPositions = Object.entries(normalizedGreen)
-                    .filter(([_, l]) => l === letter)
-                    .map(([pos, _]) => pos);
-                
-                const hasOverlap = bluePositions.some(pos => greenPositions.includes(pos));
-                
-                if (hasOverlap) {
-                    // If blue and green overlap at same position, we need exactly the count
-                    if (actualCount !== minRequired) {
-                        return { valid: false, reason: `Gray+green+blue constraint failed: ${letter} has ${actualCount}, expected ${minRequired}` };
-                    }
-                } else {
-                    // Blue at different positions than green - need extra occurrences
-                    if (actualCount !== minRequired) {
-                        return { valid: false, reason: `Gray+green+blue constraint failed: ${letter} has ${actualCount}, expected ${minRequired}` };
-                    }
-                }
-            } else if (greenLetters.has(letter) && !blueLetters.has(letter)) {
-                if (actualCount !== requiredCount) {
-                    return { valid: false, reason: `Gray+green constraint failed: ${letter} has ${actualCount}, expected ${requiredCount}` };
-                }
-            } else if (blueLetters.has(letter) && !greenLetters.has(letter)) {
-                // Blue + gray means exactly the count of blue positions (no extra occurrences)
-                if (actualCount !== requiredCount) {
-                    return { valid: false, reason: `Gray+blue constraint failed: ${letter} has ${actualCount}, expected ${requiredCount}` };
-                }
-            } else if (!greenLetters.has(letter) && !blueLetters.has(letter) && orangeLetters.has(letter)) {
-                if (actualCount !== requiredCount) {
-                    return { valid: false, reason: `Gray+orange constraint failed: ${letter} has ${actualCount}, expected ${requiredCount}` };
+            if (state === LETTER_STATES.GREEN || state === LETTER_STATES.BLUE) {
+                if (chars[pos] !== letter) {
+                    return { type: 'position', letter, position: pos, row: rowIndex, expected: 1 };
                 }
+                (required[letter] ??= { count: 0, position: pos }).count++;
+            } else if (state === LETTER_STATES.ORANGE) {
+                (required[letter] ??= { count: 0, position: pos }).count++;
+            }
+        }
+        
+        for (const [letter, { count, position }] of Object.entries(required)) {
+            const played = chars.filter(char => char === letter).length;
+            if (played < count) {
+                return { type: 'missing', letter, position, row: rowIndex, expected: count };
             }
         }
     }
     
-    return { valid: true };
+    return null;
 }
 
 /**
- * Checks if word matches all constraints
- * @param {Object} wordMeta - Word metadata with chars and letterCounts
- * @param {Object} constraints - Raw constraints from UI
- * @returns {boolean} True if word matches all constraints
+ * Checks a guess against hard mode rules
+ * @param {string} word - Guessed word
+ * @param {Object} constraints - Constraints from the grid ({ rows })
+ * @returns {Object|null} First violated hint or null when the guess is legal
  */
-function matchesConstraints(wordMeta, constraints) {
-    const normalizedConstraints = normalizeConstraints(constraints);
-    const result = checkConstraints(wordMeta, normalizedConstraints);
-    return result.valid;
+export function findHardModeViolation(word, constraints) {
+    return createHardModeCheck(constraints.rows || [])([...normalizeCzechText(word)]);
+}
+
+/**
+ * Creates a hard mode check for guesses; with uncertain boxes a guess is
+ * legal when it reuses the hints of some reading of every row
+ * @param {Array} rows - Guessed rows
+ * @returns {Function} (chars) => first violated hint or null
+ */
+function createHardModeCheck(rows) {
+    if (!hasUncertainCells(rows)) {
+        return chars => hardModeViolation(chars, rows);
+    }
+    
+    const rowReadings = expandRowReadings(rows);
+    
+    return chars => {
+        for (let rowIndex = 0; rowIndex < rowReadings.length; rowIndex++) {
+            let first = null;
+            for (const { row } of rowReadings[rowIndex]) {
+                const violation = hardModeViolation(chars, [row]);
+                if (!violation) {
+                    first = null;
+                    break;
+                }
+                first ??= { ...violation, row: rowIndex };
+            }
+            if (first) return first;
+        }
+        return null;
+    };
 }
 
 /**
  * Generator that yields words matching constraints
  */
 export function* filterWordsGenerator(wordMetadata, constraints) {
+    const matches = compileConstraints(constraints);
     for (const wordMeta of wordMetadata) {
-        if (matchesConstraints(wordMeta, constraints)) {
+        if (matches(wordMeta)) {
             yield wordMeta.word;
         }
     }
@@ -391,43 +860,399 @@ export function filterWords(wordMetadata, constraints) {
     return Array.from(filterWordsGenerator(wordMetadata, constraints));
 }
 
+// Maximum number of guesses evaluated by entropy ranking; larger candidate
+// sets are pre-ranked by letter frequency to keep the cost quadratic in this
+const ENTROPY_GUESS_POOL = 150;
+
+// Probe guesses are only worth it when there is more than a coin flip left
+const MIN_PROBE_CANDIDATES = 3;
+
 /**
- * Gets best suggestions based on letter frequency scoring
+ * Computes Wordle.cz feedback states for normalized character arrays
+ * @param {Array} guessChars - Guess characters array
+ * @param {Array} answerChars - Answer characters array
+ * @returns {Array<number>} State code for each position
  */
-export function getSuggestions(wordMetadata, constraints, limit = 10) {
+function feedbackStates(guessChars, answerChars) {
+    // Answer letters not matched exactly are available for blue/orange
+    const unmatched = {};
+    for (let i = 0; i < 5; i++) {
+        if (guessChars[i] !== answerChars[i]) {
+            unmatched[answerChars[i]] = (unmatched[answerChars[i]] || 0) + 1;
+        }
+    }
+    
+    const states = new Array(5).fill(LETTER_STATES.GRAY);
+    
+    // Exact matches: blue when the letter still appears elsewhere, green otherwise
+    for (let i = 0; i < 5; i++) {
+        if (guessChars[i] === answerChars[i]) {
+            states[i] = unmatched[guessChars[i]] ? LETTER_STATES.BLUE : LETTER_STATES.GREEN;
+        }
+    }
+    
+    // Remaining occurrences are orange from left to right, extra copies stay gray
+    for (let i = 0; i < 5; i++) {
+        const letter = guessChars[i];
+        if (letter !== answerChars[i] && unmatched[letter]) {
+            states[i] = LETTER_STATES.ORANGE;
+            unmatched[letter]--;
+        }
+    }
+    
+    return states;
+}
+
+/**
+ * Computes the Wordle.cz feedback a guess gets against a known answer
+ * @param {string} guess - Guessed 5-letter word
+ * @param {string} answer - Hidden 5-letter word
+ * @returns {Array<number>} State code (see LETTER_STATES) for each position
+ */
+export function computeFeedback(guess, answer) {
+    return feedbackStates([...normalizeCzechText(guess)], [...normalizeCzechText(answer)]);
+}
+
+/**
+ * Computes a comparable key of the feedback a guess would get against an answer
+ * @param {Array} guessChars - Guess characters array
+ * @param {Array} answerChars - Answer characters array
+ * @returns {number} Feedback encoded as a base-4 number (one digit per position)
+ */
+export function feedbackKey(guessChars, answerChars) {
+    return feedbackStates(guessChars, answerChars)
+        .reduce((key, state) => key * 4 + state, 0);
+}
+
+/**
+ * Expected information (in bits) gained by playing a guess
+ *
+ * Candidates count by their prior weight. With non-uniform priors, hitting the
+ * answer is worth all remaining uncertainty (priorEntropy) rather than just
+ * the surprise of its own pattern, so common candidates rank higher.
+ *
+ * @param {Object} guessMeta - Guess word metadata
+ * @param {Array} candidates - Metadata of words that may still be the answer
+ * @param {Object|null} matrix - PatternMatrix with cached feedback keys
+ * @param {number|null} priorEntropy - Entropy of the candidate priors, null when uniform
+ * @returns {number} Entropy of the feedback pattern distribution
+ */
+function scoreByEntropy(guessMeta, candidates, matrix = null, priorEntropy = null) {
+    const buckets = new Map();
+    let total = 0;
+    let solved = 0;
+    for (const answerMeta of candidates) {
+        const key = matrix
+            ? matrix.pattern(guessMeta, answerMeta)
+            : feedbackKey(guessMeta.chars, answerMeta.chars);
+        const weight = priorOf(answerMeta);
+        buckets.set(key, (buckets.get(key) || 0) + weight);
+        total += weight;
+        if (answerMeta.word === guessMeta.word) solved = weight;
+    }
+    
+    let entropy = 0;
+    for (const weight of buckets.values()) {
+        const p = weight / total;
+        entropy -= p * Math.log2(p);
+    }
+    
+    if (priorEntropy !== null && solved > 0) {
+        const p = solved / total;
+        entropy += p * (priorEntropy + Math.log2(p));
+    }
+    
+    return entropy;
+}
+
+/**
+ * Entropy of the candidates' prior distribution, null when all are equally likely
+ */
+function priorEntropyOf(candidates) {
+    if (candidates.every(meta => priorOf(meta) === priorOf(candidates[0]))) {
+        return null;
+    }
+    
+    let entropy = 0;
+    for (const p of answerProbabilities(candidates).values()) {
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Scores guesses by entropy over the candidates and returns the best ones
+ * (ties keep the order of guesses)
+ * @param {Array} guesses - Metadata of words to score
+ * @param {Array} candidates - Metadata of words that may still be the answer
+ * @param {number} limit - Maximum number of results
+ * @param {Object|null} matrix - PatternMatrix with cached feedback keys
+ * @returns {Array<{word: string, score: number}>} Guesses sorted by entropy
+ */
+export function rankByEntropy(guesses, candidates, limit = 10, matrix = null) {
+    const priorEntropy = priorEntropyOf(candidates);
+    return guesses
+        .map(meta => ({
+            word: meta.word,
+            score: scoreByEntropy(meta, candidates, matrix, priorEntropy)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Ranks probe guesses from the whole dictionary by how well they split the candidates
+ *
+ * Probes are words that cannot be the answer themselves but test several
+ * letters the remaining candidates differ in.
+ *
+ * @param {Array} wordMetadata - Word metadata list (whole dictionary)
+ * @param {Object} constraints - Constraints from the grid
+ * @param {number} limit - Maximum number of probes
+ * @param {Object} options - Ranking options
+ * @param {boolean} options.hardMode - Only rank guesses that reuse all revealed hints
+ * @param {Object|null} options.matrix - PatternMatrix with cached feedback keys
+ * @param {Array|null} options.candidates - Precomputed candidates (metadata) matching the constraints
+ * @returns {Array<{word: string, score: number}>} Probes sorted by entropy
+ */
+export function rankProbes(wordMetadata, constraints, limit = 10, { hardMode = false, matrix = null, candidates = null } = {}) {
+    const hardModeCheck = createHardModeCheck(constraints.rows || []);
+    candidates ??= wordMetadata.filter(compileConstraints(constraints));
+    
+    if (candidates.length < MIN_PROBE_CANDIDATES) {
+        return [];
+    }
+    
+    // Letters shared by all (or no) candidates tell nothing - weight by split
+    const containing = {};
+    for (const meta of candidates) {
+        for (const letter of new Set(meta.chars)) {
+            containing[letter] = (containing[letter] || 0) + 1;
+        }
+    }
+    const splitWeight = letter => (containing[letter] || 0) * (candidates.length - (containing[letter] || 0));
+    
+    const candidateWords = new Set(candidates.map(meta => meta.word));
+    const pool = wordMetadata
+        .filter(meta => !candidateWords.has(meta.word))
+        .filter(meta => !hardMode || !hardModeCheck(meta.chars))
+        .map(meta => ({
+            meta,
+            score: [...new Set(meta.chars)].reduce((sum, letter) => sum + splitWeight(letter), 0)
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, ENTROPY_GUESS_POOL)
+        .map(({ meta }) => meta);
+    
+    return rankByEntropy(pool, candidates, limit, matrix);
+}
+
+/**
+ * Counts how often each letter stands at each position among words
+ * @param {Array<string>} words - Words, e.g. from filterWords
+ * @returns {Array<Array<{letter: string, count: number, share: number}>>} Per position,
+ *   the letters found there, most frequent first; share is count / number of words
+ */
+export function positionFrequencies(words) {
+    const counts = Array.from({ length: 5 }, () => ({}));
+    
+    for (const word of words) {
+        [...normalizeCzechText(word)].slice(0, 5).forEach((letter, position) => {
+            counts[position][letter] = (counts[position][letter] || 0) + 1;
+        });
+    }
+    
+    return counts.map(letters => Object.entries(letters)
+        .map(([letter, count]) => ({ letter, count, share: count / words.length }))
+        .sort((a, b) => b.count - a.count || a.letter.localeCompare(b.letter)));
+}
+
+/**
+ * Letter counts the grid proves, e.g. "exactly 2 A" or "at least 1 S"
+ * @param {Array<{word: string, states: Array}>} rows - Guessed rows
+ * @returns {Array<{letter: string, min: number, max: number, exact: boolean}>} Letters known
+ *   to be in the word, alphabetically; exact when min equals max
+ */
+export function letterCountBounds(rows) {
+    const { letters } = deriveKnowledge(rows);
+    
+    return Object.entries(letters)
+        .filter(([, { min }]) => min > 0)
+        .map(([letter, { min, max }]) => ({ letter, min, max, exact: min === max }))
+        .sort((a, b) => a.letter.localeCompare(b.letter));
+}
+
+/**
+ * Ranks matching words and returns them together with their scores
+ * @param {Array} wordMetadata - Word metadata list
+ * @param {Object} constraints - Raw constraints from UI
+ * @param {number} limit - Maximum number of suggestions
+ * @param {Object} options - Ranking options
+ * @param {string} options.mode - 'frequency' (letter frequency sum) or 'entropy' (expected bits)
+ * @param {boolean} options.hardMode - Only rank guesses that reuse all revealed hints
+ * @param {Object|null} options.matrix - PatternMatrix with cached feedback keys (entropy mode)
+ * @param {Array|null} options.candidates - Precomputed candidates (metadata) matching the constraints
+ * @param {Object|null} options.letterAt - { position, letter } only rank words with the letter there
+ *   (entropy is still measured against all candidates)
+ * @returns {Array<{word: string, score: number}>} Suggestions sorted by score
+ */
+export function rankSuggestions(wordMetadata, constraints, limit = 10, { mode = 'frequency', hardMode = false, matrix = null, candidates = null, letterAt = null } = {}) {
     // Calculate letter frequencies
     const letterFreq = {};
+    let weighted = false;
     for (const meta of wordMetadata) {
         for (const letter of meta.chars) {
             letterFreq[letter] = (letterFreq[letter] || 0) + 1;
         }
+        weighted ||= priorOf(meta) !== 1;
     }
     
-    // Score function - prefer words with common letters
+    // Score function - prefer common words with common letters
     const scoreWord = (wordMeta) => {
         const uniqueLetters = new Set(wordMeta.chars);
         return [...uniqueLetters].reduce((sum, letter) => 
             sum + (letterFreq[letter] || 0), 0
-        );
+        ) * priorOf(wordMeta);
     };
     
+    const byScore = (a, b) => b.score - a.score;
+    const rows = constraints.rows || [];
+    const hardModeCheck = createHardModeCheck(rows);
+    const isLegalGuess = wordMeta => (!hardMode || !hardModeCheck(wordMeta.chars)) &&
+        (!letterAt || wordMeta.chars[letterAt.position] === letterAt.letter);
+    
+    if (mode === 'entropy') {
+        // Entropy needs the complete candidate set to measure the split
+        candidates ??= wordMetadata.filter(compileConstraints(constraints));
+        const pool = candidates
+            .filter(isLegalGuess)
+            .map(meta => ({ meta, score: scoreWord(meta) }))
+            .sort(byScore)
+            .slice(0, ENTROPY_GUESS_POOL)
+            .map(({ meta }) => meta);
+        
+        return rankByEntropy(pool, candidates, limit, matrix);
+    }
+    
     // Get matching words with scores
+    const isCandidate = candidates ? () => true : compileConstraints(constraints);
     const matches = [];
-    for (const wordMeta of wordMetadata) {
-        if (matchesConstraints(wordMeta, constraints)) {
+    for (const wordMeta of candidates ?? wordMetadata) {
+        if (isCandidate(wordMeta) && isLegalGuess(wordMeta)) {
             matches.push({
                 word: wordMeta.word,
                 score: scoreWord(wordMeta)
             });
             
-            // Early exit if we have plenty of matches
-            if (matches.length >= limit * 3) break;
+            // Early exit if we have plenty of matches (a common word may still follow)
+            if (!weighted && matches.length >= limit * 3) break;
         }
     }
     
     // Sort by score and return top suggestions
     return matches
-        .sort((a, b) => b.score - a.score)
-        .slice(0, limit)
+        .sort(byScore)
+        .slice(0, limit);
+}
+
+/**
+ * Cells whose entered color differs from the feedback a row would get
+ *
+ * Orange and gray copies of one letter in a row carry the same knowledge
+ * in either order, so an orange→gray and a gray→orange change of the same
+ * letter cancel out.
+ *
+ * @param {Array} rowChars - Guess characters of the row (normalized)
+ * @param {Array<number>} entered - Entered states
+ * @param {Array<number>} expected - Feedback against the assumed answer
+ * @returns {Array<{position: number, letter: string, from: number, to: number}>} Needed changes
+ */
+function rowChanges(rowChars, entered, expected) {
+    const changes = [];
+    const swaps = {};
+    
+    for (let position = 0; position < rowChars.length; position++) {
+        const from = entered[position];
+        const to = expected[position];
+        // Uncolored boxes accept any feedback, uncertain ones any of their colors
+        if (from === to || from === LETTER_STATES.UNSET || (isUncertainState(from) && from.includes(to))) continue;
+        
+        const letter = rowChars[position];
+        const change = { position, letter, from, to };
+        changes.push(change);
+        
+        if ((from === LETTER_STATES.ORANGE && to === LETTER_STATES.GRAY) ||
+            (from === LETTER_STATES.GRAY && to === LETTER_STATES.ORANGE)) {
+            (swaps[letter] ??= { [LETTER_STATES.ORANGE]: [], [LETTER_STATES.GRAY]: [] })[from].push(change);
+        }
+    }
+    
+    const cancelled = new Set();
+    for (const byFrom of Object.values(swaps)) {
+        const toGray = byFrom[LETTER_STATES.ORANGE];
+        const toOrange = byFrom[LETTER_STATES.GRAY];
+        for (let i = 0; i < Math.min(toGray.length, toOrange.length); i++) {
+            cancelled.add(toGray[i]).add(toOrange[i]);
+        }
+    }
+    
+    return changes.filter(change => !cancelled.has(change));
+}
+
+/**
+ * Finds the fewest color changes that make at least one word possible again
+ *
+ * Every dictionary word is tried as the answer and the colors its feedback
+ * would give are compared with the entered ones. Words needing the same
+ * changes form one fix; only fixes with the fewest changes are returned.
+ *
+ * @param {Array} wordMetadata - Word metadata list
+ * @param {Array<{word: string, states: Array<number>}>} rows - Guessed rows
+ * @param {number} limit - Maximum number of fixes
+ * @returns {Array<{changes: Array, count: number, words: Array<string>}>} Fixes,
+ *   each change is { row, position, letter, from, to }; most words first
+ */
+export function findRepairs(wordMetadata, rows, limit = 5) {
+    const rowChars = rows.map(({ word }) => [...normalizeCzechText(word)]);
+    const fixes = new Map();
+    let fewest = Infinity;
+    
+    for (const answer of wordMetadata) {
+        const changes = [];
+        
+        for (let row = 0; row < rows.length && changes.length <= fewest; row++) {
+            const expected = feedbackStates(rowChars[row], answer.chars);
+            rowChanges(rowChars[row], rows[row].states, expected)
+                .forEach(change => changes.push({ row, ...change }));
+        }
+        
+        // A word that already matches means there is nothing to repair
+        if (changes.length === 0) return [];
+        if (changes.length > fewest) continue;
+        
+        if (changes.length < fewest) {
+            fewest = changes.length;
+            fixes.clear();
+        }
+        
+        const key = changes.map(({ row, position, to }) => `${row}:${position}:${to}`).join(',');
+        if (!fixes.has(key)) {
+            fixes.set(key, { changes, count: 0, words: [] });
+        }
+        const fix = fixes.get(key);
+        fix.count++;
+        fix.words.push(answer.word);
+    }
+    
+    return [...fixes.values()]
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+/**
+ * Gets best suggestions based on letter frequency scoring
+ */
+export function getSuggestions(wordMetadata, constraints, limit = 10, options = {}) {
+    return rankSuggestions(wordMetadata, constraints, limit, options)
         .map(item => item.word);
-}
\ No newline at end of file
+}
@@ -1,14 +1,16 @@
 // Main application file
-import { WordleSolver } from './solver.js';
+import { SolverClient, SolverCancelledError } from './solver-client.js';
 import { WordleUI } from './ui.js';
 import { normalizeCzechText } from './algorithm.js';
+import { parseGuessInput } from './validation.js';
 import './components.js';
 
 // Initialize application
 class WordleApp {
     constructor() {
         this.ui = new WordleUI();
-        this.solver = new WordleSolver(); // No predefined words - will load from words.txt
+        this.solver = new SolverClient(); // Solves in a Web Worker, loads words.txt there
+        this.letterAt = null; // Heatmap filter: only suggest words with { letter } at { position }
         this.initEventListeners();
         // Pass solver to UI for word validation
         this.ui.setSolver(this.solver);
@@ -37,13 +39,55 @@ class WordleApp {
             }
         });
 
+        // Enter on the on-screen keyboard
+        document.getElementById('keyboard').addEventListener('keyboard-key', (e) => {
+            if (e.detail.key === 'Enter') {
+                // Focusing the input would open the system keyboard
+                this.handleAddWord({ focusInput: false });
+            }
+        });
+
+        // Enter in the feedback input adds the word or recolors the selected row
+        const feedbackInput = document.getElementById('feedback-input');
+        feedbackInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleAddWord();
+            }
+        });
+
+
+
+        // Hard mode changes which guesses are allowed
+        const hardModeToggle = document.getElementById('hard-mode-toggle');
+        hardModeToggle.addEventListener('change', () => {
+            this.handleSolve();
+        });
 
+        // Explain why a typed word is excluded
+        const explainInput = document.getElementById('explain-input');
+        explainInput.addEventListener('input', () => {
+            this.handleExplain();
+        });
 
         // Letter state changes - automatically solve when letter colors change
         document.addEventListener('state-change', () => {
             this.handleSolve();
         });
         
+        // Heatmap cell toggles the letter-at-position filter of the suggestions
+        document.addEventListener('heatmap-select', (e) => {
+            const { position, letter } = e.detail;
+            const same = this.letterAt?.position === position && this.letterAt?.letter === letter;
+            this.letterAt = same ? null : { position, letter };
+            this.handleSolve();
+        });
+        
+        // Rows were deleted, moved or retyped
+        document.addEventListener('rows-change', () => {
+            this.handleSolve();
+        });
+        
         // Solver update needed event (e.g., when restoring from URL)
         document.addEventListener('solver-update-needed', () => {
             this.handleSolve();
@@ -53,20 +97,49 @@ class WordleApp {
         wordInput.focus();
     }
 
-    async handleAddWord() {
+    async handleAddWord({ focusInput = true } = {}) {
         try {
-            const inputWord = this.ui.wordInput.value.trim().toUpperCase();
+            // Feedback may follow the word ("PISEK XOOXX") or sit in its own input
+            const { word: inputWord, pattern } = parseGuessInput(this.ui.wordInput.value);
+            const feedback = pattern ?? this.ui.feedbackInput.value.trim();
+            let states = null;
             
-            if (!await this.ui.validateWord(inputWord)) {
+            if (feedback) {
+                states = this.ui.parseFeedback(feedback, pattern ? this.ui.wordInput : this.ui.feedbackInput);
+                if (!states) return;
+            }
+            
+            // Feedback alone recolors the selected row
+            if (!inputWord && states) {
+                if (this.ui.applyFeedback(states)) {
+                    this.ui.feedbackInput.value = '';
+                    await this.handleSolve();
+                }
+                return;
+            }
+            
+            // A retyped row only has to reuse hints of the rows above it
+            const retypeIndex = this.ui.retypeIndex;
+            if (!await this.ui.validateWord(inputWord, retypeIndex ?? undefined)) {
                 return;
             }
             
             // Normalize the word to remove diacritics before adding to grid
             const normalizedWord = normalizeCzechText(inputWord).toUpperCase();
+            
+            // The grid reports the retyped row (word and typed colors at once) and the app solves again
+            if (retypeIndex !== null) {
+                this.ui.retypeWord(normalizedWord, states);
+                this.ui.wordInput.value = '';
+                this.ui.feedbackInput.value = '';
+                if (focusInput) this.ui.wordInput.focus();
+                return;
+            }
 
-            if (this.ui.addWord(normalizedWord)) {
+            if (this.ui.addWord(normalizedWord, states)) {
                 this.ui.wordInput.value = '';
-                this.ui.wordInput.focus();
+                this.ui.feedbackInput.value = '';
+                if (focusInput) this.ui.wordInput.focus();
                 // Show suggestions panel when first word is added
                 this.ui.showSuggestionsPanel();
                 // Automatically show suggestions after adding a word
@@ -80,22 +153,80 @@ class WordleApp {
     }
 
     async handleSolve() {
-        // Validate green letter constraints first
-        const isValid = this.ui.validateGreenLetters();
+        this.ui.updateKeyboard();
+        
+        // Check the rows can all be true first
+        const validation = this.ui.validateGrid();
         
-        if (!isValid) {
-            // Show validation warning instead of suggestions
-            this.ui.showValidationWarning();
+        const constraints = this.ui.getConstraints();
+        
+        if (!validation.isValid) {
+            // Show validation warning instead of suggestions, with fixes for a mis-clicked box
+            this.ui.showValidationWarning(validation.conflicts);
+            try {
+                this.ui.displayRepairs(await this.solver.findRepairs(constraints));
+            } catch (error) {
+                if (!(error instanceof SolverCancelledError)) {
+                    console.error('Error finding repairs:', error);
+                }
+            }
             return;
         }
         
-        const constraints = this.ui.getConstraints();
+        const options = { mode: 'entropy', hardMode: this.ui.isHardMode(), letterAt: this.letterAt };
         try {
-            const suggestions = await this.solver.getSuggestions(constraints, 50);
-            this.ui.displaySuggestions(suggestions);
+            const { suggestions, probes, endgame, repairs, count, positions } = await this.solver.analyze(constraints, {
+                ...options,
+                limit: 50,
+                probeLimit: 10
+            });
+            
+            // Drop a filter the grid ruled out and solve again without it
+            const { letterAt } = options;
+            if (letterAt && !positions[letterAt.position].some(({ letter }) => letter === letterAt.letter)) {
+                this.letterAt = null;
+                return this.handleSolve();
+            }
+            
+            this.ui.displaySuggestions(suggestions, count);
+            this.ui.displayHeatmap(positions, letterAt);
+            this.ui.displayLetterCounts();
+            this.ui.displayRepairs(repairs);
+            this.ui.displayProbes(probes);
+            this.ui.displayEndgame(endgame);
         } catch (error) {
+            // A newer grid state is being solved; let it render instead
+            if (error instanceof SolverCancelledError) {
+                return;
+            }
             console.error('Error getting suggestions:', error);
             this.ui.displaySuggestions([]);
+            this.ui.displayProbes([]);
+            this.ui.displayEndgame(null);
+            this.ui.displayHeatmap([]);
+        }
+        
+        // Keep the explanation in sync with the grid
+        await this.handleExplain();
+    }
+
+    async handleExplain() {
+        const word = this.ui.getExplainWord();
+        
+        if (word.length !== 5) {
+            this.ui.displayExplanation(word, null);
+            return;
+        }
+        
+        try {
+            const result = await this.solver.explainWord(word, this.ui.getConstraints());
+            this.ui.displayExplanation(word, result);
+        } catch (error) {
+            if (error instanceof SolverCancelledError) {
+                return;
+            }
+            console.error('Error explaining word:', error);
+            this.ui.displayExplanation(word, null);
         }
     }
 }
@@ -1,14 +1,49 @@
 // Web Components for Wordle.cz Solver
+import { LETTER_STATES, deriveKnowledge, normalizeCzechText } from './algorithm.js';
+
+// Letter box state classes indexed by state code (see LETTER_STATES);
+// clicking cycles unset → gray → orange → blue → green → unset, Shift+click,
+// right-click and long-press cycle backwards
+const STATE_CLASSES = ['gray', 'orange', 'blue', 'green', 'unset'];
+
+// Keys setting a state directly: 1-4 or G(ray)/O(range)/B(lue)/Z(elená); typed
+// feedback patterns have their own symbols (FEEDBACK_SYMBOLS in validation.js)
+const KEY_STATES = {
+    '1': LETTER_STATES.GRAY, g: LETTER_STATES.GRAY,
+    '2': LETTER_STATES.ORANGE, o: LETTER_STATES.ORANGE,
+    '3': LETTER_STATES.BLUE, b: LETTER_STATES.BLUE,
+    '4': LETTER_STATES.GREEN, z: LETTER_STATES.GREEN
+};
+
+// Spoken color names indexed by state code
+const STATE_NAMES = ['šedá', 'oranžová', 'modrá', 'zelená', 'bez barvy'];
+
+// Holding a box this long cycles its color backwards
+const LONG_PRESS_MS = 500;
+
+// Color pairs a box may be uncertain between; in the grid's uncertain mode
+// clicking cycles through them and back to the certain color
+const UNCERTAIN_PAIRS = [
+    [LETTER_STATES.GRAY, LETTER_STATES.ORANGE],
+    [LETTER_STATES.GRAY, LETTER_STATES.BLUE],
+    [LETTER_STATES.GRAY, LETTER_STATES.GREEN],
+    [LETTER_STATES.ORANGE, LETTER_STATES.BLUE],
+    [LETTER_STATES.ORANGE, LETTER_STATES.GREEN],
+    [LETTER_STATES.BLUE, LETTER_STATES.GREEN]
+];
 
 // Letter Box Component
 class LetterBox extends HTMLElement {
     #shadowRoot;
     #letter = '';
-    #state = 0;
+    #state = LETTER_STATES.UNSET;
+    #altState = null;
     #col = 0;
+    #pressTimer = null;
+    #longPressed = false;
     
     static get observedAttributes() {
-        return ['letter', 'state', 'col'];
+        return ['letter', 'state', 'alt-state', 'col'];
     }
 
     constructor() {
@@ -30,6 +65,7 @@ class LetterBox extends HTMLElement {
                     transition: all 0.2s ease;
                     cursor: pointer;
                     user-select: none;
+                    -webkit-touch-callout: none;
                     background-color: var(--color-background-normal, white);
                     color: var(--color-text-normal, var(--neutral-900));
                     box-sizing: border-box;
@@ -59,11 +95,36 @@ class LetterBox extends HTMLElement {
                     border-color: var(--wordle-green);
                 }
                 
+                /* Either of two colors (--box-a / --box-b) */
+                :host(.uncertain) {
+                    background: linear-gradient(135deg, var(--box-a) 50%, var(--box-b) 50%);
+                    color: var(--color-text-inverse, white);
+                    border-style: dotted;
+                    border-color: var(--color-border-normal, var(--neutral-500));
+                }
+                
+                /* Not colored yet - tells the solver nothing */
+                :host(.unset) {
+                    border-style: dashed;
+                    border-color: var(--color-border-normal, var(--neutral-500));
+                }
+                
                 :host(:hover) {
                     transform: scale(1.05);
                     box-shadow: var(--shadow-sm);
                 }
                 
+                :host(:focus-visible) {
+                    outline: 3px solid var(--color-accent, var(--blue-500, #3b82f6));
+                    outline-offset: 2px;
+                }
+                
+                /* Letter taking part in a contradiction between rows */
+                :host(.conflict) {
+                    outline: 3px dashed var(--wordle-conflict);
+                    outline-offset: 2px;
+                }
+                
                 @media (max-width: 600px) {
                     :host {
                         width: 50px;
@@ -84,6 +145,22 @@ class LetterBox extends HTMLElement {
         `;
         
         this.addEventListener('click', this.#handleClick.bind(this));
+        this.addEventListener('keydown', this.#handleKeydown.bind(this));
+        this.addEventListener('contextmenu', this.#handleContextMenu.bind(this));
+        this.addEventListener('pointerdown', this.#handlePointerDown.bind(this));
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type =>
+            this.addEventListener(type, () => clearTimeout(this.#pressTimer)));
+    }
+
+    connectedCallback() {
+        // The grid moves tabindex 0 between boxes (roving focus)
+        if (!this.hasAttribute('tabindex')) {
+            this.tabIndex = -1;
+        }
+        if (!this.hasAttribute('role')) {
+            this.setAttribute('role', 'button');
+        }
+        this.#updateLabel();
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
@@ -96,46 +173,153 @@ class LetterBox extends HTMLElement {
                 this.#state = parseInt(newValue);
                 this.#updateState();
                 break;
+            case 'alt-state':
+                this.#altState = newValue === null ? null : parseInt(newValue);
+                this.#updateState();
+                break;
             case 'col':
                 this.#col = parseInt(newValue);
                 break;
         }
+        this.#updateLabel();
     }
 
-    #handleClick() {
+    /**
+     * Accessible name with the feedback, e.g. "P, pozice 1, oranžová"
+     */
+    #updateLabel() {
+        const color = this.#altState === null
+            ? STATE_NAMES[this.#state]
+            : `${STATE_NAMES[this.#state]} nebo ${STATE_NAMES[this.#altState]}`;
+        this.setAttribute('aria-label', `${this.#letter}, pozice ${this.#col + 1}, ${color}`);
+    }
+
+    #handleClick(e) {
+        // The click ending a long press was handled already
+        if (this.#longPressed) return;
+        
+        this.#cycle(e.shiftKey ? -1 : 1);
+    }
+
+    #handleContextMenu(e) {
+        e.preventDefault();
+        // Touch browsers open the context menu on the long press itself
+        if (!this.#longPressed) {
+            this.#cycle(-1);
+        }
+    }
+
+    #handlePointerDown(e) {
+        this.#longPressed = false;
+        clearTimeout(this.#pressTimer);
+        if (e.button !== 0) return;
+        
+        this.#pressTimer = setTimeout(() => {
+            this.#longPressed = true;
+            this.#cycle(-1);
+        }, LONG_PRESS_MS);
+    }
+
+    #handleKeydown(e) {
+        // Leave shortcuts such as Ctrl+Z to the page
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        const key = e.key.toLowerCase();
+        if (key in KEY_STATES) {
+            e.preventDefault();
+            this.#setState(KEY_STATES[key]);
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            e.preventDefault();
+            this.#setState(LETTER_STATES.UNSET);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.#cycle(e.shiftKey ? -1 : 1);
+        }
+    }
+
+    /**
+     * Move to the next (step 1) or previous (step -1) color
+     */
+    #cycle(step) {
         if (!this.#letter) return;
         
-        const states = ['gray', 'orange', 'blue', 'green'];
-        this.#state = (this.#state + 1) % states.length;
-        this.setAttribute('state', this.#state.toString());
+        if (this.closest('wordle-grid')?.hasAttribute('uncertain-mode')) {
+            this.#cycleUncertain(step);
+        } else {
+            this.removeAttribute('alt-state');
+            this.#state = (this.#state + step + STATE_CLASSES.length) % STATE_CLASSES.length;
+            this.setAttribute('state', this.#state.toString());
+        }
+        
+        this.#dispatchStateChange();
+    }
+
+    /**
+     * Set a certain color directly
+     */
+    #setState(state) {
+        if (!this.#letter) return;
+        if (state === this.#state && this.#altState === null) return;
         
-        // Dispatch custom event
+        this.removeAttribute('alt-state');
+        this.setAttribute('state', state.toString());
+        this.#dispatchStateChange();
+    }
+
+    #dispatchStateChange() {
         this.dispatchEvent(new CustomEvent('state-change', {
             detail: {
                 letter: this.#letter,
-                state: states[this.#state],
+                state: STATE_CLASSES[this.#state],
+                alternative: STATE_CLASSES[this.#altState] ?? null,
                 col: this.#col
             },
             bubbles: true
         }));
     }
 
+    /**
+     * Move to the next (or previous) uncertain color pair; the certain color
+     * sits between the last and the first pair
+     */
+    #cycleUncertain(step) {
+        const current = this.#altState === null
+            ? -1
+            : UNCERTAIN_PAIRS.findIndex(([a, b]) => a === this.#state && b === this.#altState);
+        const count = UNCERTAIN_PAIRS.length + 1;
+        const next = UNCERTAIN_PAIRS[(current + 1 + step + count) % count - 1];
+        
+        if (next) {
+            this.setAttribute('state', next[0].toString());
+            this.setAttribute('alt-state', next[1].toString());
+        } else {
+            this.removeAttribute('alt-state');
+        }
+    }
+
     #updateState() {
-        const states = ['gray', 'orange', 'blue', 'green'];
         // Remove all state classes
-        states.forEach(state => this.classList.remove(state));
+        [...STATE_CLASSES, 'uncertain'].forEach(state => this.classList.remove(state));
         // Add current state class
-        if (states[this.#state]) {
-            this.classList.add(states[this.#state]);
+        if (this.#altState !== null) {
+            this.classList.add('uncertain');
+            this.style.setProperty('--box-a', `var(--wordle-${STATE_CLASSES[this.#state]})`);
+            this.style.setProperty('--box-b', `var(--wordle-${STATE_CLASSES[this.#altState]})`);
+        } else if (STATE_CLASSES[this.#state]) {
+            this.classList.add(STATE_CLASSES[this.#state]);
         }
     }
 
     get letter() { return this.#letter; }
     get state() { return this.#state; }
+    get altState() { return this.#altState; }
     get col() { return this.#col; }
+    /** State for the solver: a code, or [a, b] when uncertain between two colors */
+    get stateValue() {
+        return this.#altState === null ? this.#state : [this.#state, this.#altState];
+    }
     get stateString() {
-        const states = ['gray', 'orange', 'blue', 'green'];
-        return states[this.#state];
+        return STATE_CLASSES[this.#state];
     }
 }
 
@@ -158,10 +342,72 @@ class WordRow extends HTMLElement {
                     display: flex;
                     gap: 0.25rem;
                     justify-content: center;
+                    border-radius: var(--radius);
+                    position: relative;
+                }
+                
+                /* Row that typed feedback applies to */
+                :host([selected]) {
+                    outline: 2px solid var(--color-border-subtle, var(--neutral-300));
+                    outline-offset: 3px;
+                }
+                
+                /* Row actions sit beside the boxes so rows stay aligned with placeholders */
+                .actions {
+                    position: absolute;
+                    left: 100%;
+                    top: 0;
+                    bottom: 0;
+                    margin-left: 0.5rem;
+                    display: grid;
+                    grid-template-columns: repeat(2, 1.5rem);
+                    align-content: center;
+                    gap: 0.125rem;
+                    opacity: 0.5;
+                    transition: opacity 0.2s ease;
+                }
+                
+                :host(:hover) .actions,
+                .actions:focus-within {
+                    opacity: 1;
+                }
+                
+                .actions button {
+                    width: 1.5rem;
+                    height: 1.5rem;
+                    padding: 0;
+                    font-size: 0.875rem;
+                    line-height: 1;
+                    border: 1px solid var(--color-border-subtle, var(--neutral-300));
+                    border-radius: 4px;
+                    background: var(--color-background-normal, white);
+                    color: var(--color-text-normal, var(--neutral-900));
+                    cursor: pointer;
+                }
+                
+                :host([first]) [data-action="up"],
+                :host([last]) [data-action="down"] {
+                    visibility: hidden;
                 }
             </style>
             <slot></slot>
+            <div class="actions">
+                <button type="button" data-action="up" title="Posunout nahoru" aria-label="Posunout řádek nahoru">↑</button>
+                <button type="button" data-action="retype" title="Přepsat slovo" aria-label="Přepsat slovo v řádku">✎</button>
+                <button type="button" data-action="down" title="Posunout dolů" aria-label="Posunout řádek dolů">↓</button>
+                <button type="button" data-action="delete" title="Smazat řádek" aria-label="Smazat řádek">✕</button>
+            </div>
         `;
+        
+        this.#shadowRoot.querySelector('.actions').addEventListener('click', (e) => {
+            const action = e.target.closest('button')?.dataset.action;
+            if (!action) return;
+            
+            this.dispatchEvent(new CustomEvent('row-action', {
+                detail: { action, rowIndex: this.#rowIndex },
+                bubbles: true
+            }));
+        });
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
@@ -174,6 +420,16 @@ class WordRow extends HTMLElement {
                 this.#rowIndex = parseInt(newValue);
                 break;
         }
+        this.#updateLabel();
+    }
+
+    connectedCallback() {
+        this.setAttribute('role', 'group');
+        this.#updateLabel();
+    }
+
+    #updateLabel() {
+        this.setAttribute('aria-label', `${this.#rowIndex + 1}. řádek, ${this.#word}`);
     }
 
     #createLetterBoxes() {
@@ -184,7 +440,7 @@ class WordRow extends HTMLElement {
         [...this.#word].forEach((letter, index) => {
             const letterBox = document.createElement('letter-box');
             letterBox.setAttribute('letter', letter);
-            letterBox.setAttribute('state', '0');
+            letterBox.setAttribute('state', LETTER_STATES.UNSET.toString());
             letterBox.setAttribute('col', index.toString());
             letterBox.textContent = letter;
             this.appendChild(letterBox);
@@ -197,12 +453,34 @@ class WordRow extends HTMLElement {
     getLetterBoxes() {
         return [...this.querySelectorAll('letter-box')];
     }
+    
+    /**
+     * Set the state of every letter box
+     * @param {Array<number|Array<number>>} states - State per box, [a, b] for uncertain boxes
+     */
+    setStates(states) {
+        this.getLetterBoxes().forEach((box, index) => {
+            if (index >= states.length) return;
+            
+            const [state, altState] = [states[index]].flat();
+            box.setAttribute('state', state.toString());
+            if (altState === undefined) {
+                box.removeAttribute('alt-state');
+            } else {
+                box.setAttribute('alt-state', altState.toString());
+            }
+        });
+    }
 }
 
 // Suggestion Item Component
 class SuggestionItem extends HTMLElement {
     #shadowRoot;
 
+    static get observedAttributes() {
+        return ['score', 'probability', 'tag'];
+    }
+
     constructor() {
         super();
         this.#shadowRoot = this.attachShadow({ mode: 'open' });
@@ -243,13 +521,67 @@ class SuggestionItem extends HTMLElement {
                     background-color: var(--color-accent-emphasis, var(--blue-100, #dbeafe));
                     border-color: var(--color-accent, var(--blue-300, #93c5fd));
                 }
+                
+                .score {
+                    display: block;
+                    font-size: 0.75rem;
+                    font-weight: 400;
+                    text-transform: none;
+                    opacity: 0.7;
+                }
+                
+                .score:empty, .probability:empty {
+                    display: none;
+                }
+                
+                /* Chance of being the answer */
+                .probability {
+                    display: block;
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                    text-transform: none;
+                }
+                
+                /* Colors of uncertain boxes the word assumes */
+                .tag {
+                    display: block;
+                    font-size: 0.7rem;
+                    font-weight: 400;
+                    text-transform: none;
+                    font-style: italic;
+                }
+                
+                .tag:empty {
+                    display: none;
+                }
             </style>
             <slot></slot>
+            <span class="score" title="Očekávaná informace v bitech"></span>
+            <span class="probability" title="Pravděpodobnost, že jde o hledané slovo"></span>
+            <span class="tag"></span>
         `;
         
         this.addEventListener('click', this.#handleClick.bind(this));
     }
 
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'score') {
+            // Expected information in bits, formatted with Czech decimal comma
+            const score = parseFloat(newValue);
+            this.#shadowRoot.querySelector('.score').textContent =
+                isNaN(score) ? '' : `${score.toFixed(2).replace('.', ',')} b`;
+        } else if (name === 'probability') {
+            // Chance of being the answer, hidden below a tenth of a percent
+            const probability = parseFloat(newValue);
+            this.#shadowRoot.querySelector('.probability').textContent =
+                isNaN(probability) || probability < 0.001
+                    ? ''
+                    : `${(probability * 100).toFixed(probability < 0.1 ? 1 : 0).replace('.', ',')} %`;
+        } else if (name === 'tag') {
+            this.#shadowRoot.querySelector('.tag').textContent = newValue ?? '';
+        }
+    }
+
     #handleClick() {
         this.dispatchEvent(new CustomEvent('suggestion-select', {
             detail: { word: this.textContent.trim() },
@@ -310,26 +642,67 @@ class WordleGrid extends HTMLElement {
         
         // Initialize with 6 empty rows
         this.#initializeEmptyRows();
+        
+        // The last recolored row is the one typed feedback applies to
+        this.addEventListener('state-change', (e) => {
+            const wordRow = e.target.closest?.('word-row');
+            if (wordRow) this.#selectRow(wordRow);
+        });
+        
+        // Arrow keys move focus between letter boxes; only one box is tabbable
+        this.addEventListener('keydown', this.#handleArrowKeys.bind(this));
+        this.addEventListener('focusin', (e) => {
+            if (e.target.matches?.('letter-box')) this.#setRovingBox(e.target);
+        });
+        
+        // Moving and deleting rows is handled here, retyping needs the word input
+        this.addEventListener('row-action', (e) => {
+            const { action, rowIndex } = e.detail;
+            
+            if (action === 'delete') {
+                this.removeWord(rowIndex);
+            } else if (action === 'up' || action === 'down') {
+                this.moveWord(rowIndex, action === 'up' ? rowIndex - 1 : rowIndex + 1);
+            }
+        });
+    }
+    
+    connectedCallback() {
+        if (!this.hasAttribute('role')) {
+            this.setAttribute('role', 'group');
+            this.setAttribute('aria-label', 'Pokusy');
+        }
+    }
+    
+    #selectRow(wordRow) {
+        this.querySelectorAll('word-row[selected]').forEach(row => row.removeAttribute('selected'));
+        wordRow.setAttribute('selected', '');
     }
 
     #initializeEmptyRows() {
         // Create 6 empty rows
         for (let i = 0; i < this.#maxWords; i++) {
-            const emptyRow = document.createElement('div');
-            emptyRow.className = 'empty-row';
-            emptyRow.setAttribute('data-row-index', i.toString());
-            
-            // Create 5 empty letter boxes
-            for (let j = 0; j < 5; j++) {
-                const emptyBox = document.createElement('div');
-                emptyBox.className = 'empty-letter-box';
-                emptyRow.appendChild(emptyBox);
-            }
-            
-            this.appendChild(emptyRow);
+            this.appendChild(this.#createEmptyRow(i));
         }
     }
 
+    #createEmptyRow(rowIndex) {
+        const emptyRow = document.createElement('div');
+        emptyRow.className = 'empty-row';
+        emptyRow.setAttribute('data-row-index', rowIndex.toString());
+        // Placeholders only hold the layout
+        emptyRow.setAttribute('aria-hidden', 'true');
+        
+        // Create 5 empty letter boxes
+        for (let j = 0; j < 5; j++) {
+            const emptyBox = document.createElement('div');
+            emptyBox.className = 'empty-letter-box';
+            emptyRow.appendChild(emptyBox);
+        }
+        
+        return emptyRow;
+    }
+
     addWord(word) {
         if (this.#words.length >= this.#maxWords) {
             throw new Error('Maximum number of words reached');
@@ -348,6 +721,8 @@ class WordleGrid extends HTMLElement {
         
         // Replace empty row with word row
         this.replaceChild(wordRow, emptyRow);
+        this.#renumberRows();
+        this.#selectRow(wordRow);
         return wordRow;
     }
 
@@ -357,54 +732,375 @@ class WordleGrid extends HTMLElement {
         this.#initializeEmptyRows();
     }
 
-    getConstraints() {
-        const constraints = {
-            green: {},
-            blue: {},
-            orange: {},
-            gray: new Set()
+    /**
+     * Replace all rows, e.g. with a snapshot from the history
+     * @param {Array<{word: string, states: Array}>} rows - Rows as from getConstraints
+     */
+    setRows(rows) {
+        this.clear();
+        rows.forEach(({ word, states }) => this.addWord(word).setStates(states));
+    }
+
+    /**
+     * Remove a row; later rows move up and a placeholder is added at the end
+     * @param {number} index - Row index
+     */
+    removeWord(index) {
+        const wordRow = this.#wordRows()[index];
+        if (!wordRow) return;
+        
+        const wasSelected = wordRow.hasAttribute('selected');
+        this.#words.splice(index, 1);
+        wordRow.remove();
+        this.appendChild(this.#createEmptyRow(this.#maxWords - 1));
+        
+        this.#renumberRows();
+        if (wasSelected && this.selectedRow) {
+            this.#selectRow(this.selectedRow);
+        }
+        this.#dispatchRowsChange('delete', index);
+    }
+
+    /**
+     * Move a row to another position, keeping its colors
+     * @param {number} from - Current row index
+     * @param {number} to - New row index
+     */
+    moveWord(from, to) {
+        const wordRows = this.#wordRows();
+        if (!wordRows[from] || !wordRows[to] || from === to) return;
+        
+        const [word] = this.#words.splice(from, 1);
+        this.#words.splice(to, 0, word);
+        
+        // Insert before the row now at the target, or after it when moving down
+        const target = wordRows[to];
+        this.insertBefore(wordRows[from], from < to ? target.nextSibling : target);
+        
+        this.#renumberRows();
+        this.#dispatchRowsChange('move', to);
+    }
+
+    /**
+     * Replace the word of a row; boxes whose letter stays the same keep their color
+     * @param {number} index - Row index
+     * @param {string} word - New 5-letter word
+     * @param {Array|null} states - Colors typed with the word, replacing the kept ones
+     */
+    replaceWord(index, word, states = null) {
+        const wordRow = this.#wordRows()[index];
+        if (!wordRow) return;
+        
+        const oldLetters = [...wordRow.word];
+        const oldStates = wordRow.getLetterBoxes().map(box => box.stateValue);
+        
+        this.#words[index] = word;
+        wordRow.setAttribute('word', word);
+        wordRow.setStates(states ?? [...wordRow.word].map((letter, position) =>
+            letter === oldLetters[position] ? oldStates[position] : LETTER_STATES.UNSET));
+        
+        this.#updateRovingBox();
+        this.#selectRow(wordRow);
+        this.#dispatchRowsChange('replace', index);
+    }
+
+    #wordRows() {
+        return [...this.querySelectorAll('word-row')];
+    }
+
+    /**
+     * Arrow keys move along and across rows, Home/End to the row ends
+     */
+    #handleArrowKeys(e) {
+        const box = e.target.closest?.('letter-box');
+        if (!box) return;
+        
+        const rows = this.#wordRows().map(row => row.getLetterBoxes());
+        const boxes = rows.flat();
+        const index = boxes.indexOf(box);
+        const row = rows.findIndex(rowBoxes => rowBoxes.includes(box));
+        const col = rows[row]?.indexOf(box);
+        
+        const targets = {
+            ArrowLeft: boxes[index - 1],
+            ArrowRight: boxes[index + 1],
+            ArrowUp: rows[row - 1]?.[col],
+            ArrowDown: rows[row + 1]?.[col],
+            Home: rows[row]?.[0],
+            End: rows[row]?.at(-1)
         };
+        const target = targets[e.key];
+        
+        if (target) {
+            e.preventDefault();
+            this.#setRovingBox(target);
+            target.focus();
+        }
+    }
 
-        const wordRows = [...this.querySelectorAll('word-row')];
-        wordRows.forEach(row => {
-            const letterBoxes = row.getLetterBoxes();
-            letterBoxes.forEach(box => {
-                const letter = box.letter;
-                const col = box.col;
-                const state = box.stateString;
-
-                switch(state) {
-                    case 'green':
-                        constraints.green[col] = letter;
-                        break;
-                    case 'blue':
-                        constraints.blue[col] = letter;
-                        break;
-                    case 'orange':
-                        if (!constraints.orange[letter]) {
-                            constraints.orange[letter] = [];
-                        }
-                        constraints.orange[letter].push(col);
-                        break;
-                    case 'gray':
-                        constraints.gray.add(letter);
-                        break;
-                }
-            });
+    /**
+     * Make one letter box the grid's tab stop
+     */
+    #setRovingBox(box) {
+        this.querySelectorAll('letter-box').forEach(other => {
+            other.tabIndex = other === box ? 0 : -1;
         });
+    }
+
+    /**
+     * Keep exactly one tabbable letter box after rows change
+     */
+    #updateRovingBox() {
+        const boxes = [...this.querySelectorAll('letter-box')];
+        const current = boxes.find(box => box.tabIndex === 0) ?? boxes[0];
+        if (current) this.#setRovingBox(current);
+    }
 
-        return constraints;
+    /**
+     * Keep row-index attributes, first/last markers and placeholder indexes in order
+     */
+    #renumberRows() {
+        const wordRows = this.#wordRows();
+        wordRows.forEach((wordRow, index) => {
+            wordRow.setAttribute('row-index', index.toString());
+            wordRow.toggleAttribute('first', index === 0);
+            wordRow.toggleAttribute('last', index === wordRows.length - 1);
+        });
+        
+        [...this.querySelectorAll('.empty-row')].forEach((emptyRow, index) => {
+            emptyRow.setAttribute('data-row-index', (wordRows.length + index).toString());
+        });
+        
+        this.#updateRovingBox();
+    }
+
+    #dispatchRowsChange(action, rowIndex) {
+        this.dispatchEvent(new CustomEvent('rows-change', {
+            detail: { action, rowIndex, words: this.words },
+            bubbles: true
+        }));
+    }
+
+    /**
+     * Get feedback of every row; the solver derives letter knowledge from it
+     * (unset boxes stay in the states as LETTER_STATES.UNSET and are ignored,
+     * uncertain boxes are [a, b] pairs of states)
+     * @returns {{rows: Array<{word: string, states: Array<number|Array<number>>}>}} Constraints
+     */
+    getConstraints() {
+        const wordRows = [...this.querySelectorAll('word-row')];
+        const rows = wordRows.map(row => ({
+            word: row.word,
+            states: row.getLetterBoxes().map(box => box.stateValue)
+        }));
+
+        return { rows };
     }
 
     get words() { return [...this.#words]; }
+    /** Row typed feedback applies to: the last added or recolored one */
+    get selectedRow() {
+        return this.querySelector('word-row[selected]') ?? [...this.querySelectorAll('word-row')].at(-1) ?? null;
+    }
     get maxWords() { return this.#maxWords; }
     get canAddWord() { return this.#words.length < this.#maxWords; }
 }
 
+// Czech QWERTZ letter rows; the diacritics row shows with the diacritics attribute
+const KEYBOARD_ROWS = ['QWERTZUIOP', 'ASDFGHJKL', 'YXCVBNM'];
+const DIACRITIC_KEYS = 'ĚŠČŘŽÝÁÍÉÚŮŤĎŇÓ';
+
+// Spoken letter knowledge indexed by key status
+const KEY_STATUS_NAMES = {
+    absent: 'není ve slově',
+    present: 'je ve slově',
+    placed: 'má známou pozici'
+};
+
+// On-screen Keyboard Component
+class WordleKeyboard extends HTMLElement {
+    #shadowRoot;
+    #rows = [];
+
+    static get observedAttributes() {
+        return ['diacritics'];
+    }
+
+    constructor() {
+        super();
+        this.#shadowRoot = this.attachShadow({ mode: 'open' });
+        this.#shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.25rem;
+                    align-items: center;
+                    user-select: none;
+                }
+                
+                .row {
+                    display: flex;
+                    gap: 0.25rem;
+                    justify-content: center;
+                    flex-wrap: wrap;
+                }
+                
+                button {
+                    min-width: 2rem;
+                    height: 2.75rem;
+                    padding: 0 0.375rem;
+                    font: inherit;
+                    font-weight: 600;
+                    border: 1px solid var(--color-border-subtle, var(--neutral-300));
+                    border-radius: 4px;
+                    background-color: var(--color-background-elevation, var(--gray-100));
+                    color: var(--color-text-normal, var(--neutral-900));
+                    cursor: pointer;
+                    touch-action: manipulation;
+                }
+                
+                button.wide {
+                    min-width: 3.5rem;
+                    font-size: 0.8rem;
+                }
+                
+                button[data-status="absent"] {
+                    background-color: var(--wordle-gray);
+                    border-color: var(--wordle-gray);
+                    color: var(--color-text-inverse, white);
+                    opacity: 0.6;
+                }
+                
+                button[data-status="present"] {
+                    background-color: var(--wordle-orange);
+                    border-color: var(--wordle-orange);
+                    color: var(--color-text-inverse, white);
+                }
+                
+                button[data-status="placed"] {
+                    background-color: var(--wordle-green);
+                    border-color: var(--wordle-green);
+                    color: var(--color-text-inverse, white);
+                }
+                
+                @media (max-width: 400px) {
+                    button {
+                        min-width: 1.75rem;
+                        padding: 0 0.25rem;
+                    }
+                }
+            </style>
+            <div class="keys"></div>
+        `;
+        
+        const keys = this.#shadowRoot.querySelector('.keys');
+        keys.addEventListener('click', this.#handleClick.bind(this));
+        // Keep focus (and the system keyboard) where it was
+        keys.addEventListener('mousedown', (e) => e.preventDefault());
+        
+        this.#render();
+    }
+
+    attributeChangedCallback(name) {
+        if (name === 'diacritics') {
+            this.#render();
+        }
+    }
+
+    #handleClick(e) {
+        const key = e.target.closest('button')?.dataset.key;
+        if (!key) return;
+        
+        if (key === 'Diacritics') {
+            this.toggleAttribute('diacritics');
+            return;
+        }
+        
+        this.dispatchEvent(new CustomEvent('keyboard-key', {
+            detail: { key },
+            bubbles: true
+        }));
+    }
+
+    #render() {
+        const keyRows = [...KEYBOARD_ROWS];
+        if (this.hasAttribute('diacritics')) {
+            keyRows.unshift(DIACRITIC_KEYS);
+        }
+        
+        const keys = this.#shadowRoot.querySelector('.keys');
+        keys.replaceChildren(...keyRows.map((letters, index) => {
+            const row = document.createElement('div');
+            row.className = 'row';
+            row.append(...[...letters].map(letter => this.#createKey(letter, letter)));
+            
+            // Controls share the last letter row
+            if (index === keyRows.length - 1) {
+                row.prepend(this.#createKey('Enter', '⏎', 'Přidat slovo'));
+                row.append(
+                    this.#createKey('Diacritics', 'ěšč', 'Písmena s diakritikou'),
+                    this.#createKey('Backspace', '⌫', 'Smazat písmeno')
+                );
+            }
+            return row;
+        }));
+        
+        this.update(this.#rows);
+    }
+
+    #createKey(key, text, label = null) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.key = key;
+        button.textContent = text;
+        if (label) {
+            button.className = 'wide';
+            button.setAttribute('aria-label', label);
+        }
+        if (key === 'Diacritics') {
+            button.setAttribute('aria-pressed', String(this.hasAttribute('diacritics')));
+        }
+        return button;
+    }
+
+    /**
+     * Color the keys by what the grid tells about each letter: absent,
+     * present somewhere or placed at a known position
+     * @param {Array<{word: string, states: Array}>} rows - Rows from WordleGrid.getConstraints
+     */
+    update(rows) {
+        this.#rows = rows;
+        const { letters } = deriveKnowledge(rows);
+        
+        this.#shadowRoot.querySelectorAll('button[data-key]').forEach(button => {
+            const key = button.dataset.key;
+            if (key.length !== 1) return;
+            
+            // Diacritic keys share the knowledge of their base letter
+            const knowledge = letters[normalizeCzechText(key)];
+            const status = !knowledge ? null
+                : knowledge.positions.size > 0 ? 'placed'
+                : knowledge.min > 0 ? 'present'
+                : knowledge.max === 0 ? 'absent'
+                : null;
+            
+            if (status) {
+                button.dataset.status = status;
+                button.setAttribute('aria-label', `${key}, ${KEY_STATUS_NAMES[status]}`);
+            } else {
+                delete button.dataset.status;
+                button.removeAttribute('aria-label');
+            }
+        });
+    }
+}
+
 // Register custom elements
 customElements.define('letter-box', LetterBox);
 customElements.define('word-row', WordRow);
 customElements.define('suggestion-item', SuggestionItem);
 customElements.define('wordle-grid', WordleGrid);
+customElements.define('wordle-keyboard', WordleKeyboard);
 
-export { LetterBox, WordRow, SuggestionItem, WordleGrid };
\ No newline at end of file
+export { LetterBox, WordRow, SuggestionItem, WordleGrid, WordleKeyboard };
\ No newline at end of file
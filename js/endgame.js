@@ -0,0 +1,122 @@
+// Exhaustive endgame search for small candidate sets
+import { feedbackKey } from './algorithm.js';
+import { SOLVED_PATTERN } from './pattern-matrix.js';
+
+// Thrown when the search runs out of its time budget
+class SearchTimeout extends Error {}
+
+/**
+ * Groups candidates by the feedback a guess would get against each of them
+ * @param {Object} guessMeta - Guessed word metadata
+ * @param {Array} candidates - Metadata of words that may still be the answer
+ * @param {Object|null} matrix - PatternMatrix with cached feedback keys
+ * @returns {Map<number, Array>} Feedback key -> candidates producing it
+ */
+function partitionByFeedback(guessMeta, candidates, matrix) {
+    const partitions = new Map();
+    
+    for (const candidate of candidates) {
+        const pattern = matrix
+            ? matrix.pattern(guessMeta, candidate)
+            : feedbackKey(guessMeta.chars, candidate.chars);
+        if (!partitions.has(pattern)) {
+            partitions.set(pattern, []);
+        }
+        partitions.get(pattern).push(candidate);
+    }
+    
+    return partitions;
+}
+
+/**
+ * Whether result a beats result b (fewer worst-case guesses, then fewer expected)
+ */
+function isBetter(a, b) {
+    return !b || a.worstCase < b.worstCase ||
+        (a.worstCase === b.worstCase && a.expected < b.expected);
+}
+
+/**
+ * Finds the guess minimising worst-case (then expected) guesses to solve
+ *
+ * Explores the full guess/feedback tree: every candidate is tried as the next
+ * guess and each feedback pattern is solved recursively. Subtrees only guess
+ * their own candidates, the root may also try extra guesses (e.g. probes).
+ *
+ * @param {Array} candidates - Metadata of words that may still be the answer
+ * @param {Object} options - Search options
+ * @param {Array} options.guesses - Extra root guesses besides the candidates
+ * @param {number} options.timeBudget - Maximum search time in milliseconds
+ * @param {Object|null} options.matrix - PatternMatrix with cached feedback keys
+ * @returns {Object|null} { guess, worstCase, expected } or null when out of time
+ */
+export function solveEndgame(candidates, { guesses = [], timeBudget = 200, matrix = null } = {}) {
+    if (candidates.length === 0) {
+        return null;
+    }
+    
+    const deadline = Date.now() + timeBudget;
+    const memo = new Map();
+    
+    const solve = (words, extraGuesses = []) => {
+        if (words.length === 1) {
+            return { guess: words[0].word, worstCase: 1, expected: 1 };
+        }
+        
+        const key = words.map(meta => meta.word).join(',');
+        if (extraGuesses.length === 0 && memo.has(key)) {
+            return memo.get(key);
+        }
+        
+        let best = null;
+        
+        for (const guessMeta of [...words, ...extraGuesses]) {
+            if (Date.now() > deadline) {
+                throw new SearchTimeout();
+            }
+            
+            const partitions = partitionByFeedback(guessMeta, words, matrix);
+            
+            // A guess that cannot win nor split the words makes no progress
+            if (partitions.size === 1 && !partitions.has(SOLVED_PATTERN)) {
+                continue;
+            }
+            
+            let worstCase = 1;
+            let total = 0;
+            
+            for (const [pattern, part] of partitions) {
+                if (pattern === SOLVED_PATTERN) {
+                    total += 1;
+                    continue;
+                }
+                
+                const result = solve(part);
+                worstCase = Math.max(worstCase, 1 + result.worstCase);
+                total += part.length * (1 + result.expected);
+                
+                // Cannot beat the best worst case any more
+                if (best && worstCase > best.worstCase) break;
+            }
+            
+            const candidate = { guess: guessMeta.word, worstCase, expected: total / words.length };
+            if (isBetter(candidate, best)) {
+                best = candidate;
+            }
+        }
+        
+        if (extraGuesses.length === 0) {
+            memo.set(key, best);
+        }
+        return best;
+    };
+    
+    try {
+        return solve(candidates, guesses);
+    } catch (error) {
+        if (error instanceof SearchTimeout) {
+            return null;
+        }
+        throw error;
+    }
+}
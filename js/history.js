@@ -0,0 +1,88 @@
+// Undo/redo history of grid changes for Wordle.cz Solver
+
+// Oldest steps are dropped beyond this many
+const HISTORY_LIMIT = 100;
+
+/**
+ * Copies grid rows so later changes cannot alter a recorded snapshot
+ * @param {Array<{word: string, states: Array}>} rows - Rows from WordleGrid.getConstraints
+ * @returns {Array<{word: string, states: Array}>} Independent copy
+ */
+function copyRows(rows) {
+    return rows.map(({ word, states }) => ({ word, states: states.map(state => Array.isArray(state) ? [...state] : state) }));
+}
+
+/**
+ * Command history of the grid
+ *
+ * Every step stores the rows before and after a change (a color click,
+ * added, moved, retyped or deleted row, restored or cleared grid), so undo
+ * and redo only have to put a snapshot back.
+ */
+export class GridHistory {
+    #undoStack = [];
+    #redoStack = [];
+    #limit;
+
+    /**
+     * @param {number} limit - Maximum number of undoable steps
+     */
+    constructor(limit = HISTORY_LIMIT) {
+        this.#limit = limit;
+    }
+
+    /**
+     * Record a change; unchanged grids are ignored
+     * @param {string} type - Kind of change ('state', 'add', 'delete', 'move', 'replace', 'restore', 'clear', ...)
+     * @param {Array} before - Rows before the change
+     * @param {Array} after - Rows after the change
+     * @returns {boolean} True when a step was recorded
+     */
+    record(type, before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return false;
+        }
+        
+        this.#undoStack.push({ type, before: copyRows(before), after: copyRows(after) });
+        if (this.#undoStack.length > this.#limit) {
+            this.#undoStack.shift();
+        }
+        this.#redoStack = [];
+        return true;
+    }
+
+    /**
+     * Step back
+     * @returns {Object|null} { type, rows } rows to show, or null when there is nothing to undo
+     */
+    undo() {
+        const step = this.#undoStack.pop();
+        if (!step) return null;
+        
+        this.#redoStack.push(step);
+        return { type: step.type, rows: copyRows(step.before) };
+    }
+
+    /**
+     * Step forward again
+     * @returns {Object|null} { type, rows } rows to show, or null when there is nothing to redo
+     */
+    redo() {
+        const step = this.#redoStack.pop();
+        if (!step) return null;
+        
+        this.#undoStack.push(step);
+        return { type: step.type, rows: copyRows(step.after) };
+    }
+
+    /**
+     * Forget all steps
+     */
+    clear() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+
+    get canUndo() { return this.#undoStack.length > 0; }
+    get canRedo() { return this.#redoStack.length > 0; }
+}
@@ -0,0 +1,246 @@
+// Cached feedback patterns of every guess against every answer
+import { feedbackKey, hashWords } from './algorithm.js';
+
+// Feedback key of a solved row (all five positions green)
+export const SOLVED_PATTERN = 0b1111111111;
+
+// Rows built since the last save are written after this quiet period
+const SAVE_DELAY = 2000;
+
+const CACHE_FILE = 'pattern-matrix.bin';
+const DB_NAME = 'wordle-solver';
+const DB_STORE = 'pattern-matrix';
+
+/**
+ * Feedback keys (see feedbackKey) of every guess × answer pair, indexed by
+ * word ids from parseWordsFromContent
+ *
+ * Rows are computed lazily the first time a guess is scored and persisted
+ * (IndexedDB in the browser, .cache/ of the repository in Node.js) together
+ * with a hash of the word list, so a changed words.txt invalidates the cache
+ * automatically.
+ */
+export class PatternMatrix {
+    #saveTimer = null;
+    #persist;
+    #cacheDir;
+
+    /**
+     * @param {Array} wordMetadata - Word metadata list with ids
+     * @param {Object} options
+     * @param {boolean} options.persist - Read and write the persisted cache
+     * @param {string|null} options.cacheDir - Node.js cache directory (null for the repository's .cache/)
+     */
+    constructor(wordMetadata, { persist = true, cacheDir = null } = {}) {
+        this.#persist = persist;
+        this.#cacheDir = cacheDir;
+        this.words = wordMetadata;
+        this.size = wordMetadata.length;
+        this.wordsHash = hashWords(wordMetadata);
+        this.patterns = null;
+        this.builtRows = new Uint8Array(this.size);
+        this.dirty = false;
+    }
+
+    /**
+     * Creates a matrix and fills it from the persisted cache when it matches
+     * @param {Array} wordMetadata - Word metadata list with ids
+     * @param {Object} options - Persistence options (see the constructor)
+     * @returns {Promise<PatternMatrix>} Matrix (empty when there is no usable cache)
+     */
+    static async load(wordMetadata, options = {}) {
+        const matrix = new PatternMatrix(wordMetadata, options);
+        if (!matrix.#persist) return matrix;
+        
+        try {
+            const cached = await readCache(matrix.#cacheDir);
+            if (cached && cached.wordsHash === matrix.wordsHash &&
+                cached.builtRows.length === matrix.size) {
+                matrix.builtRows = cached.builtRows;
+                matrix.patterns = cached.patterns;
+            }
+        } catch (error) {
+            console.warn('Failed to load pattern cache:', error);
+        }
+        
+        return matrix;
+    }
+
+    /**
+     * Whether word metadata belongs to this matrix's word list
+     */
+    #hasWord(meta) {
+        return meta.id !== null && meta.id !== undefined && this.words[meta.id]?.word === meta.word;
+    }
+
+    /**
+     * Returns the feedback keys of a guess against every word, building them if needed
+     * @param {number} guessId - Word id of the guess
+     * @returns {Uint16Array} Feedback key per answer id
+     */
+    row(guessId) {
+        this.patterns ??= new Uint16Array(this.size * this.size);
+        const row = this.patterns.subarray(guessId * this.size, (guessId + 1) * this.size);
+        
+        if (!this.builtRows[guessId]) {
+            const guessChars = this.words[guessId].chars;
+            for (let answerId = 0; answerId < this.size; answerId++) {
+                row[answerId] = feedbackKey(guessChars, this.words[answerId].chars);
+            }
+            this.builtRows[guessId] = 1;
+            this.dirty = true;
+            this.#scheduleSave();
+        }
+        
+        return row;
+    }
+
+    /**
+     * Feedback key a guess gets against an answer
+     * @param {Object} guessMeta - Guess word metadata
+     * @param {Object} answerMeta - Answer word metadata
+     * @returns {number} Feedback encoded as a base-4 number
+     */
+    pattern(guessMeta, answerMeta) {
+        if (!this.#hasWord(guessMeta) || !this.#hasWord(answerMeta)) {
+            return feedbackKey(guessMeta.chars, answerMeta.chars);
+        }
+        return this.row(guessMeta.id)[answerMeta.id];
+    }
+
+    #scheduleSave() {
+        if (this.#saveTimer || !this.#persist) return;
+        
+        this.#saveTimer = setTimeout(() => {
+            this.#saveTimer = null;
+            this.save();
+        }, SAVE_DELAY);
+        
+        // Never keep a Node.js process alive just to write the cache
+        this.#saveTimer.unref?.();
+    }
+
+    /**
+     * Persists the built rows
+     */
+    async save() {
+        if (!this.dirty || !this.#persist) return;
+        
+        try {
+            await writeCache(this, this.#cacheDir);
+            this.dirty = false;
+        } catch (error) {
+            console.warn('Failed to save pattern cache:', error);
+        }
+    }
+}
+
+/**
+ * Whether the code runs in Node.js
+ */
+function isNode() {
+    return typeof window === 'undefined' && typeof process !== 'undefined';
+}
+
+/**
+ * Path of the Node.js cache file
+ * @param {string|null} cacheDir - Cache directory, null for the repository's .cache/
+ */
+async function cachePath(cacheDir) {
+    const { join } = await import('path');
+    const { fileURLToPath } = await import('url');
+    return join(cacheDir ?? fileURLToPath(new URL('../.cache/', import.meta.url)), CACHE_FILE);
+}
+
+/**
+ * Opens the IndexedDB database holding the cache
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Reads the persisted cache
+ * @param {string|null} cacheDir - Node.js cache directory
+ * @returns {Promise<Object|null>} { wordsHash, builtRows, patterns } or null
+ */
+async function readCache(cacheDir) {
+    if (isNode()) {
+        const { readFileSync, existsSync } = await import('fs');
+        const path = await cachePath(cacheDir);
+        
+        if (!existsSync(path)) return null;
+        
+        // Layout: 8-byte hash, 4-byte size, built row flags, patterns
+        const buffer = readFileSync(path);
+        if (buffer.length < 12) return null;
+        
+        const wordsHash = buffer.toString('latin1', 0, 8);
+        const size = buffer.readUInt32LE(8);
+        
+        // A truncated file would pass off missing patterns as all gray
+        if (buffer.length !== 12 + size + size * size * 2) {
+            console.warn('Pattern cache has an unexpected length, ignoring it');
+            return null;
+        }
+        
+        const builtRows = new Uint8Array(buffer.subarray(12, 12 + size));
+        const patternBytes = buffer.subarray(12 + size);
+        const patterns = new Uint16Array(size * size);
+        new Uint8Array(patterns.buffer).set(patternBytes.subarray(0, patterns.byteLength));
+        
+        return { wordsHash, builtRows, patterns };
+    }
+    
+    if (typeof indexedDB === 'undefined') return null;
+    
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(DB_STORE).objectStore(DB_STORE).get('matrix');
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Writes the built rows to the persisted cache
+ * @param {PatternMatrix} matrix - Matrix to persist
+ * @param {string|null} cacheDir - Node.js cache directory
+ */
+async function writeCache({ wordsHash, size, builtRows, patterns }, cacheDir) {
+    if (isNode()) {
+        const { writeFileSync, renameSync, mkdirSync } = await import('fs');
+        const { dirname } = await import('path');
+        const path = await cachePath(cacheDir);
+        mkdirSync(dirname(path), { recursive: true });
+        
+        const header = Buffer.alloc(12);
+        header.write(wordsHash, 0, 8, 'latin1');
+        header.writeUInt32LE(size, 8);
+        
+        // Write aside and rename, so readers never see a half-written file
+        const temporary = `${path}.${process.pid}.tmp`;
+        writeFileSync(temporary, Buffer.concat([
+            header,
+            Buffer.from(builtRows),
+            Buffer.from(patterns.buffer, patterns.byteOffset, patterns.byteLength)
+        ]));
+        renameSync(temporary, path);
+        return;
+    }
+    
+    if (typeof indexedDB === 'undefined') return;
+    
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(DB_STORE, 'readwrite');
+        transaction.objectStore(DB_STORE).put({ wordsHash, builtRows, patterns }, 'matrix');
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,194 @@
+// Client for the solver worker with the same API as WordleSolver
+import { WordleSolver } from './solver.js';
+
+/**
+ * Raised when a newer request on the same channel superseded this one
+ */
+export class SolverCancelledError extends Error {
+    constructor() {
+        super('Solver request was superseded');
+        this.name = 'SolverCancelledError';
+    }
+}
+
+export class SolverClient {
+    #worker = null;
+    #solver = null;
+    #solverOptions;
+    #nextId = 1;
+    #pending = new Map();
+    #latest = new Map();
+
+    /**
+     * @param {Object} options
+     * @param {boolean} options.useWorker - Run in a Web Worker when available
+     *   (Node.js and old browsers fall back to an in-process solver)
+     * @param {Object} options.patternCache - Pattern cache options of the in-process solver
+     */
+    constructor({ useWorker = typeof Worker !== 'undefined', patternCache = {} } = {}) {
+        this.#solverOptions = { patternCache };
+        
+        if (useWorker) {
+            try {
+                this.#worker = new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+                this.#worker.addEventListener('message', (event) => this.#handleMessage(event.data));
+                // A worker that fails to load or cannot deliver results would leave calls hanging
+                this.#worker.addEventListener('error', (event) => this.#fallBackToMainThread(event.message || event));
+                this.#worker.addEventListener('messageerror', () => this.#fallBackToMainThread('unreadable message'));
+            } catch (error) {
+                console.warn('Solver worker unavailable, solving on the main thread:', error);
+                this.#worker = null;
+            }
+        }
+        
+        if (!this.#worker) {
+            this.#solver = new WordleSolver(null, this.#solverOptions);
+        }
+        
+        // Resolves with the number of loaded words
+        this.wordsPromise = this.#call(null, 'ready');
+    }
+
+    /**
+     * Send a request; a newer request on the same channel cancels older ones
+     * @param {string|null} channel - Latest-wins channel, null to never cancel
+     * @param {string} method - WordleSolver method name
+     * @param {...*} args - Method arguments
+     * @returns {Promise<*>} Result, rejected with SolverCancelledError when superseded
+     */
+    #call(channel, method, ...args) {
+        const id = this.#nextId++;
+        
+        if (channel !== null) {
+            this.#latest.set(channel, id);
+        }
+        
+        const promise = new Promise((resolve, reject) => {
+            this.#pending.set(id, { channel, method, args, resolve, reject });
+        });
+        
+        if (this.#worker) {
+            this.#worker.postMessage({ id, channel, method, args });
+        } else {
+            this.#runLocally(id, channel, method, args);
+        }
+        
+        return promise;
+    }
+
+    /**
+     * Drop a failed worker and solve in-process from now on; pending calls are
+     * rejected, except the readiness check, which the local solver answers
+     * @param {*} reason - Worker error event message
+     */
+    #fallBackToMainThread(reason) {
+        if (!this.#worker) return;
+        
+        console.warn('Solver worker failed, solving on the main thread:', reason);
+        this.#worker.terminate();
+        this.#worker = null;
+        this.#solver = new WordleSolver(null, this.#solverOptions);
+        
+        for (const [id, { channel, method, args, reject }] of this.#pending) {
+            if (method === 'ready') {
+                this.#runLocally(id, channel, method, args);
+            } else {
+                this.#pending.delete(id);
+                reject(new Error('Solver worker failed'));
+            }
+        }
+    }
+
+    async #runLocally(id, channel, method, args) {
+        const isStale = async () => {
+            // Give newer calls from the same tick a chance to register
+            await Promise.resolve();
+            return channel !== null && this.#latest.get(channel) !== id;
+        };
+        
+        try {
+            let result;
+            if (method === 'ready') {
+                await this.#solver.wordsPromise;
+                result = this.#solver.wordMetadata.length;
+            } else if (method === 'analyze') {
+                result = await this.#solver.analyze(args[0], args[1], isStale);
+            } else {
+                result = await isStale() ? null : await this.#solver[method](...args);
+            }
+            this.#handleMessage({ id, result });
+        } catch (error) {
+            this.#handleMessage({ id, error: error.message });
+        }
+    }
+
+    #handleMessage({ id, result, error, cancelled }) {
+        const request = this.#pending.get(id);
+        if (!request) return;
+        this.#pending.delete(id);
+        
+        const { channel, resolve, reject } = request;
+        
+        if (cancelled || (channel !== null && this.#latest.get(channel) !== id)) {
+            reject(new SolverCancelledError());
+        } else if (error) {
+            reject(new Error(error));
+        } else {
+            resolve(result);
+        }
+    }
+
+    /**
+     * Run suggestions, probes, endgame and repairs for the grid; only the latest call resolves
+     * @returns {Promise<Object>} { suggestions, probes, endgame, repairs }
+     */
+    analyze(constraints, options = {}) {
+        return this.#call('analyze', 'analyze', constraints, options);
+    }
+
+    getSuggestions(constraints, limit = 10, options = {}) {
+        return this.#call(null, 'getSuggestions', constraints, limit, options);
+    }
+
+    getProbeSuggestions(constraints, limit = 10, options = {}) {
+        return this.#call(null, 'getProbeSuggestions', constraints, limit, options);
+    }
+
+    solveEndgame(constraints, options = {}) {
+        return this.#call(null, 'solveEndgame', constraints, options);
+    }
+
+    getRowCandidateCounts(constraints) {
+        return this.#call(null, 'getRowCandidateCounts', constraints);
+    }
+
+    /**
+     * Fixes for a grid without words; shares the analyze channel, since either
+     * result replaces the other on screen
+     */
+    findRepairs(constraints, limit = 5) {
+        return this.#call('analyze', 'findRepairs', constraints, limit);
+    }
+
+    filterWords(constraints) {
+        return this.#call(null, 'filterWords', constraints);
+    }
+
+    /**
+     * Explain which rules exclude a word; only the latest call resolves
+     */
+    explainWord(word, constraints) {
+        return this.#call('explain', 'explainWord', word, constraints);
+    }
+
+    wordExists(word) {
+        return this.#call(null, 'wordExists', word);
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        this.#worker?.terminate();
+    }
+}
@@ -0,0 +1,63 @@
+// Web Worker running WordleSolver off the main thread
+import { WordleSolver } from './solver.js';
+
+const solver = new WordleSolver();
+
+// Methods the client may call
+const METHODS = new Set([
+    'analyze', 'getSuggestions', 'getProbeSuggestions', 'solveEndgame',
+    'explainWord', 'wordExists', 'filterWords', 'getRowCandidateCounts', 'findRepairs'
+]);
+
+// Latest request id per channel; older requests on a channel are stale
+const latest = new Map();
+
+/**
+ * Let queued messages arrive so a newer request can mark this one stale
+ */
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Run a solver method; analyze checks for newer requests between stages
+ */
+async function run({ id, channel, method, args }) {
+    const isStale = () => channel !== null && latest.get(channel) !== id;
+    
+    if (method === 'ready') {
+        await solver.wordsPromise;
+        return solver.wordMetadata.length;
+    }
+    
+    if (method === 'analyze') {
+        const [constraints, options] = args;
+        return solver.analyze(constraints, options, async () => {
+            await yieldToMessages();
+            return isStale();
+        });
+    }
+    
+    if (!METHODS.has(method)) {
+        throw new Error(`Unknown solver method: ${method}`);
+    }
+    
+    await yieldToMessages();
+    return isStale() ? null : solver[method](...args);
+}
+
+self.addEventListener('message', async (event) => {
+    const { id, channel } = event.data;
+    
+    if (channel !== null) {
+        latest.set(channel, id);
+    }
+    
+    try {
+        const result = await run(event.data);
+        const cancelled = channel !== null && latest.get(channel) !== id;
+        self.postMessage(cancelled ? { id, cancelled } : { id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -1,10 +1,35 @@
 // Solver logic for Wordle.cz
-import { filterWords, loadWordsFromFile, getSuggestions, normalizeCzechText } from './algorithm.js';
+import {
+    loadWordsFromFile, loadOpeningBook, hashWords, hashPriors, answerProbabilities, rankSuggestions, rankProbes,
+    compileConstraints, explainWord, findHardModeViolation, findRepairs, normalizeCzechText, LETTER_STATES,
+    isUncertainState, matchInterpretation, positionFrequencies
+} from './algorithm.js';
+import { solveEndgame } from './endgame.js';
+import { PatternMatrix } from './pattern-matrix.js';
+
+// Exhaustive endgame search only runs below this many candidates
+const ENDGAME_THRESHOLD = 30;
+
+// Probes tried as first endgame guess besides the candidates
+const ENDGAME_PROBES = 10;
 
 export class WordleSolver {
-    constructor(words = null) {
+    /**
+     * @param {Array|null} words - Word metadata (null loads words.txt)
+     * @param {Object} options
+     * @param {Object|null|undefined} options.openingBook - Preloaded book (undefined loads opening-book.json)
+     * @param {Object} options.patternCache - PatternMatrix persistence options ({ persist, cacheDir })
+     */
+    constructor(words = null, { openingBook, patternCache = {} } = {}) {
+        this.patternCache = patternCache;
         this.wordMetadata = words || [];
         this.wordsPromise = words ? Promise.resolve(words) : this.loadWords();
+        this.openingBook = null;
+        this.bookPromise = this.loadOpeningBook(openingBook);
+        this.patternMatrix = null;
+        this.matrixPromise = this.loadPatternMatrix();
+        // Candidates after each row: [{ key, candidates }], valid while earlier keys match
+        this.rowCache = [];
     }
 
     /**
@@ -21,29 +46,294 @@ export class WordleSolver {
         }
     }
 
+    /**
+     * Load the feedback pattern matrix, reusing the persisted cache when it matches
+     */
+    async loadPatternMatrix() {
+        const words = await this.wordsPromise;
+        this.patternMatrix = await PatternMatrix.load(words, this.patternCache);
+        return this.patternMatrix;
+    }
+
+    /**
+     * Load the opening book, ignoring it when it was built for other words or frequencies
+     * @param {Object|null|undefined} openingBook - Preloaded book (undefined loads opening-book.json)
+     */
+    async loadOpeningBook(openingBook) {
+        const book = openingBook === undefined ? await loadOpeningBook() : openingBook;
+        await this.wordsPromise;
+        
+        if (book && (book.wordsHash !== hashWords(this.wordMetadata) ||
+            (book.priorsHash ?? null) !== hashPriors(this.wordMetadata))) {
+            console.warn('Opening book does not match the word list, ignoring it');
+            this.openingBook = null;
+        } else {
+            this.openingBook = book;
+        }
+        return this.openingBook;
+    }
+
+    /**
+     * Look up rows one and two in the opening book
+     * @param {Object} constraints - Constraints from the grid
+     * @param {Object} options - Ranking options (the book is entropy-ranked)
+     * @returns {Object|null} { opening } ranked list for an empty grid,
+     *   { guess } best second guess, or null when the book does not apply
+     */
+    #consultBook(constraints, { mode } = {}) {
+        const book = this.openingBook;
+        
+        // The book only knows definite colors
+        if (!book || mode !== 'entropy' || !constraints.rows ||
+            constraints.rows.some(({ states }) => states.some(isUncertainState))) {
+            return null;
+        }
+        
+        // Rows nobody colored yet tell nothing
+        const rows = constraints.rows.filter(({ states }) => states.some(state => state !== LETTER_STATES.UNSET));
+        
+        if (rows.length === 0) {
+            return { opening: book.opening };
+        }
+        
+        if (rows.length === 1 && normalizeCzechText(rows[0].word) === book.opening[0].word) {
+            const guess = book.second[rows[0].states.join('')];
+            return guess ? { guess } : null;
+        }
+        
+        return null;
+    }
+
+    /**
+     * Candidate metadata after each row, reusing rows that did not change
+     *
+     * Row k narrows the candidates left after row k - 1 by its own knowledge,
+     * so adding a row filters only the previous set and recolouring row k
+     * recomputes rows k..n.
+     *
+     * @param {Array<{word: string, states: Array<number>}>} rows - Guessed rows
+     * @returns {Array<Array>} Candidates after each row
+     */
+    #candidatesByRow(rows) {
+        const result = [];
+        let candidates = this.wordMetadata;
+        
+        rows.forEach((row, index) => {
+            const key = `${normalizeCzechText(row.word)}:${JSON.stringify(row.states)}`;
+            
+            if (this.rowCache[index]?.key !== key) {
+                const matches = compileConstraints({ rows: [row] });
+                this.rowCache[index] = { key, candidates: candidates.filter(matches) };
+                // Later rows were filtered from the old set
+                this.rowCache.length = index + 1;
+            }
+            
+            candidates = this.rowCache[index].candidates;
+            result.push(candidates);
+        });
+        
+        return result;
+    }
+
+    /**
+     * Candidate metadata matching the constraints
+     */
+    #candidates(constraints) {
+        if (!constraints.rows) {
+            return this.wordMetadata.filter(compileConstraints(constraints));
+        }
+        return this.#candidatesByRow(constraints.rows).at(-1) ?? this.wordMetadata;
+    }
+
+    /**
+     * Number of candidates left after each row
+     * @param {Object} constraints - Constraints from the grid ({ rows })
+     * @returns {Promise<Array<number>>} Candidate count per row
+     */
+    async getRowCandidateCounts(constraints) {
+        await this.wordsPromise;
+        return this.#candidatesByRow(constraints.rows || []).map(candidates => candidates.length);
+    }
+
     /**
      * Filter words based on constraints
      */
     async filterWords(constraints) {
         await this.wordsPromise;
-        return filterWords(this.wordMetadata, constraints);
+        return this.#candidates(constraints).map(meta => meta.word);
     }
 
     /**
-     * Get best word suggestions
+     * Get best word suggestions with their scores
+     * @param {Object} constraints - Constraints from the grid
+     * @param {number} limit - Maximum number of suggestions
+     * @param {Object} options - Ranking options (mode: 'frequency' | 'entropy', letterAt)
+     * @returns {Promise<Array<{word: string, score: number, probability: number}>>} Ranked suggestions;
+     *   `probability` of being the answer is 0 for words the grid rules out,
+     *   with uncertain boxes each also has `interpretation`, the box states it assumes
      */
-    async getSuggestions(constraints, limit = 10) {
+    async getSuggestions(constraints, limit = 10, options = {}) {
         await this.wordsPromise;
-        const suggestions = getSuggestions(this.wordMetadata, constraints, limit);
+        await this.bookPromise;
+        await this.matrixPromise;
+        
+        // The book knows nothing about words limited to a letter at a position
+        const book = options.letterAt ? null : this.#consultBook(constraints, options);
+        let suggestions;
+        
+        if (book?.opening) {
+            suggestions = book.opening.slice(0, limit);
+        } else {
+            suggestions = rankSuggestions(this.wordMetadata, constraints, limit, {
+                ...options,
+                matrix: this.patternMatrix,
+                candidates: this.#candidates(constraints)
+            });
+            
+            // Book guesses that may be the answer go first
+            if (book?.guess && explainWord(book.guess.word, constraints).valid) {
+                suggestions = [book.guess, ...suggestions.filter(({ word }) => word !== book.guess.word)]
+                    .slice(0, limit);
+            }
+        }
         
         // Validate suggestions are 5 letters (safety check)
-        return suggestions.filter(word => {
+        suggestions = suggestions.filter(({ word }) => {
             if (word.length !== 5) {
                 console.warn(`Invalid suggestion: "${word}"`);
                 return false;
             }
             return true;
         });
+        
+        // Chance of being the answer, weighted by word frequency
+        const probabilities = answerProbabilities(this.#candidates(constraints));
+        suggestions = suggestions.map(suggestion => ({
+            ...suggestion,
+            probability: probabilities.get(suggestion.word) ?? 0
+        }));
+        
+        // Tell which colors of the uncertain boxes each suggestion assumes
+        const rows = constraints.rows || [];
+        if (rows.some(({ states }) => states.some(isUncertainState))) {
+            suggestions = suggestions.map(suggestion => ({
+                ...suggestion,
+                interpretation: matchInterpretation(suggestion.word, rows)
+            }));
+        }
+        
+        return suggestions;
+    }
+
+    /**
+     * Get probe guesses from the whole dictionary that best split the candidates
+     * @param {Object} constraints - Constraints from the grid
+     * @param {number} limit - Maximum number of probes
+     * @param {Object} options - Ranking options (hardMode)
+     * @returns {Promise<Array<{word: string, score: number}>>} Probes, never possible answers
+     */
+    async getProbeSuggestions(constraints, limit = 10, options = {}) {
+        await this.wordsPromise;
+        await this.bookPromise;
+        await this.matrixPromise;
+        
+        const probes = rankProbes(this.wordMetadata, constraints, limit, {
+            ...options,
+            matrix: this.patternMatrix,
+            candidates: this.#candidates(constraints)
+        });
+        const book = this.#consultBook(constraints, options);
+        
+        // Book guesses that cannot be the answer are the best probe
+        if (book?.guess && !explainWord(book.guess.word, constraints).valid &&
+            !(options.hardMode && findHardModeViolation(book.guess.word, constraints))) {
+            return [book.guess, ...probes.filter(({ word }) => word !== book.guess.word)]
+                .slice(0, limit);
+        }
+        
+        return probes;
+    }
+
+    /**
+     * Find the guess that solves a small candidate set in the fewest guesses
+     * @param {Object} constraints - Constraints from the grid
+     * @param {Object} options - Search options
+     * @param {number} options.timeBudget - Maximum search time in milliseconds
+     * @param {boolean} options.hardMode - Only consider candidates as guesses
+     * @returns {Promise<Object|null>} { guess, worstCase, expected } or null when
+     *   there are too many candidates or the search ran out of time
+     */
+    async solveEndgame(constraints, { timeBudget = 200, hardMode = false } = {}) {
+        await this.wordsPromise;
+        await this.matrixPromise;
+        const candidates = this.#candidates(constraints);
+        
+        if (candidates.length === 0 || candidates.length >= ENDGAME_THRESHOLD) {
+            return null;
+        }
+        
+        const probeWords = hardMode
+            ? new Set()
+            : new Set(rankProbes(this.wordMetadata, constraints, ENDGAME_PROBES, { matrix: this.patternMatrix, candidates })
+                .map(({ word }) => word));
+        const guesses = this.wordMetadata.filter(meta => probeWords.has(meta.word));
+        
+        return solveEndgame(candidates, { guesses, timeBudget, matrix: this.patternMatrix });
+    }
+
+    /**
+     * Find the fewest color changes that leave at least one possible word
+     * @param {Object} constraints - Constraints from the grid ({ rows })
+     * @param {number} limit - Maximum number of fixes
+     * @returns {Promise<Array>} Fixes from findRepairs (empty when words remain)
+     */
+    async findRepairs(constraints, limit = 5) {
+        await this.wordsPromise;
+        
+        if (!constraints.rows || this.#candidates(constraints).length > 0) {
+            return [];
+        }
+        return findRepairs(this.wordMetadata, constraints.rows, limit);
+    }
+
+    /**
+     * Run everything shown after a grid change: suggestions, probes, endgame
+     * and repairs of dead ends
+     * @param {Object} constraints - Constraints from the grid
+     * @param {Object} options - Ranking options plus limit and probeLimit
+     * @param {Function} shouldStop - Async check between stages; true abandons the run
+     * @returns {Promise<Object|null>} { suggestions, probes, endgame, repairs, count, positions }
+     *   or null when stopped; count is the number of possible words, positions their
+     *   letter frequencies per position (see positionFrequencies)
+     */
+    async analyze(constraints, { limit = 10, probeLimit = 10, ...options } = {}, shouldStop = async () => false) {
+        if (await shouldStop()) return null;
+        const suggestions = await this.getSuggestions(constraints, limit, options);
+        
+        if (await shouldStop()) return null;
+        const probes = await this.getProbeSuggestions(constraints, probeLimit, options);
+        
+        if (await shouldStop()) return null;
+        const endgame = await this.solveEndgame(constraints, options);
+        
+        if (await shouldStop()) return null;
+        const repairs = await this.findRepairs(constraints);
+        const candidates = this.#candidates(constraints);
+        const count = candidates.length;
+        const positions = positionFrequencies(candidates.map(meta => meta.word));
+        
+        return { suggestions, probes, endgame, repairs, count, positions };
+    }
+
+    /**
+     * Explain which rules exclude a word
+     * @param {string} word - Word to explain
+     * @param {Object} constraints - Constraints from the grid
+     * @returns {Promise<Object>} { valid, inDictionary, violation, violations }
+     */
+    async explainWord(word, constraints) {
+        const inDictionary = await this.wordExists(word);
+        return { ...explainWord(word, constraints), inDictionary };
     }
 
     /**
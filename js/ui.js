@@ -1,20 +1,50 @@
 // UI management for Wordle.cz Solver using Web Components
-import { normalizeCzechText } from './algorithm.js';
-import { validateWordInput, validateGreenLetterConstraints, validateWordAddition, normalizeAndValidateWord } from './validation.js';
+import { normalizeCzechText, letterCountBounds, LETTER_STATES } from './algorithm.js';
+import {
+    validateWordInput, validateGridConsistency, validateWordAddition, normalizeAndValidateWord, parseFeedbackPattern
+} from './validation.js';
 import { generateShareableUrl, restoreGameStateFromUrl, hasGameStateInUrl } from './url-state.js';
+import { GridHistory } from './history.js';
+
+// Letters the on-screen keyboard types; the word input's maxlength also leaves
+// room for a typed pattern ("PISEK XOOXX"), which the keyboard cannot type
+const KEYBOARD_WORD_LENGTH = 5;
 
 export class WordleUI {
+    #snapshot = []; // Rows as last recorded in the history
+    #recording = true;
+    
     constructor() {
         // Cache DOM elements
         this.grid = document.getElementById('wordle-grid');
         this.wordInput = document.getElementById('word-input');
+        this.feedbackInput = document.getElementById('feedback-input');
+        this.addWordBtn = document.getElementById('add-word-btn');
+        this.undoBtn = document.getElementById('undo-btn');
+        this.redoBtn = document.getElementById('redo-btn');
+        this.clearBtn = document.getElementById('clear-btn');
+        this.history = new GridHistory();
         this.suggestionList = document.getElementById('suggestion-list');
         this.suggestionsSection = document.getElementById('suggestions');
         this.showMoreBtn = document.getElementById('show-more-btn');
+        this.liveStatus = document.getElementById('live-status');
+        this.keyboard = document.getElementById('keyboard');
+        this.heatmapSection = document.getElementById('heatmap-section');
+        this.heatmap = document.getElementById('heatmap');
+        this.letterCounts = document.getElementById('letter-counts');
+        this.endgameCallout = document.getElementById('endgame');
+        this.probesSection = document.getElementById('probes');
+        this.probeList = document.getElementById('probe-list');
         this.copyUrlBtn = document.getElementById('copy-url-btn');
+        this.hardModeToggle = document.getElementById('hard-mode-toggle');
+        this.uncertainToggle = document.getElementById('uncertain-toggle');
+        this.explainInput = document.getElementById('explain-input');
+        this.explainResult = document.getElementById('explain-result');
         this.solver = null; // Will be set by app
         this.allSuggestions = []; // Store all suggestions
         this.displayLimit = 10; // Initial display limit
+        this.retypeIndex = null; // Row whose word the word input replaces
+        this.announcedCount = null; // Candidate count last read out by screen readers
         
         // Setup event listeners
         this.#setupEventListeners();
@@ -22,7 +52,7 @@ export class WordleUI {
     
     /**
      * Set solver instance for word validation
-     * @param {WordleSolver} solver - Solver instance
+     * @param {WordleSolver|SolverClient} solver - Solver instance
      */
     setSolver(solver) {
         this.solver = solver;
@@ -42,6 +72,9 @@ export class WordleUI {
         this.wordInput.addEventListener('input', () => {
             this.wordInput.setCustomValidity('');
         });
+        this.feedbackInput.addEventListener('input', () => {
+            this.feedbackInput.setCustomValidity('');
+        });
         
         // Show more button click
         this.showMoreBtn.addEventListener('click', () => {
@@ -49,6 +82,59 @@ export class WordleUI {
             this.#renderSuggestions();
         });
         
+        // Retyping a row reuses the word input
+        this.grid.addEventListener('row-action', (e) => {
+            if (e.detail.action === 'retype') {
+                this.startRetype(e.detail.rowIndex);
+            }
+        });
+        
+        // Row indexes shift when rows move, are deleted or were retyped
+        this.grid.addEventListener('rows-change', (e) => {
+            this.finishRetype();
+            this.#recordChange(e.detail.action);
+        });
+        
+        // Color clicks and applied repairs
+        document.addEventListener('state-change', () => {
+            this.#recordChange('state');
+        });
+        
+        this.undoBtn.addEventListener('click', () => this.undo());
+        this.redoBtn.addEventListener('click', () => this.redo());
+        this.clearBtn.addEventListener('click', () => this.clearGrid());
+        
+        // Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y); text inputs keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.target.closest?.('input, textarea')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' || key === 'y') {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            }
+        });
+        
+        // On-screen keyboard types into the word input without focusing it
+        this.keyboard.addEventListener('keyboard-key', (e) => {
+            const { key } = e.detail;
+            if (key === 'Backspace') {
+                this.wordInput.value = this.wordInput.value.slice(0, -1);
+            } else if (key.length === 1 && this.wordInput.value.length < KEYBOARD_WORD_LENGTH) {
+                this.wordInput.value += key;
+            }
+            this.wordInput.setCustomValidity('');
+        });
+        
+        // Clicks on letter boxes cycle uncertain color pairs while enabled
+        this.uncertainToggle.addEventListener('change', () => {
+            this.grid.toggleAttribute('uncertain-mode', this.uncertainToggle.checked);
+        });
+        
         // Copy URL link click
         this.copyUrlBtn.addEventListener('click', (e) => {
             e.preventDefault();
@@ -59,9 +145,10 @@ export class WordleUI {
     /**
      * Add a word to the grid using web components
      * @param {string} word - 5-letter word to add
+     * @param {Array<number>|null} states - Typed colors, applied as part of the added row
      * @returns {boolean} Success status
      */
-    addWord(word) {
+    addWord(word, states = null) {
         // Validate word addition
         const additionResult = validateWordAddition(this.grid.words.length);
         if (!additionResult.isValid) {
@@ -73,12 +160,20 @@ export class WordleUI {
         try {
             const wordRow = this.grid.addWord(word);
             
-            // Apply pending green positions if any
+            // Apply pending green positions if any, as part of the added row
             if (this.pendingGreenPositions && Object.keys(this.pendingGreenPositions).length > 0) {
+                this.#recording = false;
                 this.#applyPendingGreenPositions(wordRow);
+                this.#recording = true;
                 this.pendingGreenPositions = null; // Clear after applying
             }
             
+            // One undo step removes the word together with its colors
+            if (states) {
+                wordRow.setStates(states);
+            }
+            
+            this.#recordChange('add');
             return true;
         } catch (error) {
             this.wordInput.setCustomValidity(error.message);
@@ -87,6 +182,125 @@ export class WordleUI {
         }
     }
 
+    /**
+     * Parse a typed feedback pattern, reporting invalid ones on the input it came from
+     * @param {string} pattern - Pattern such as "XOOXX" or "01230"
+     * @param {HTMLInputElement} input - Input holding the pattern
+     * @returns {Array<number>|null} States, or null when invalid
+     */
+    parseFeedback(pattern, input = this.feedbackInput) {
+        input.setCustomValidity('');
+        const result = parseFeedbackPattern(pattern);
+        
+        if (!result.isValid) {
+            input.setCustomValidity(result.message);
+            input.reportValidity();
+            return null;
+        }
+        return result.states;
+    }
+
+    /**
+     * Color the selected row (the last added or recolored one) by typed feedback
+     * @param {Array<number>} states - State per letter box
+     * @returns {boolean} False when the grid has no rows
+     */
+    applyFeedback(states) {
+        const wordRow = this.grid.selectedRow;
+        
+        if (!wordRow) {
+            this.feedbackInput.setCustomValidity('Nejdříve přidejte slovo, ke kterému barvy patří.');
+            this.feedbackInput.reportValidity();
+            return false;
+        }
+        
+        wordRow.setStates(states);
+        this.#recordChange('state');
+        return true;
+    }
+
+    /**
+     * Undo the last grid change and let the app solve again
+     */
+    undo() {
+        this.#showHistoryStep(this.history.undo());
+    }
+
+    /**
+     * Redo the last undone grid change and let the app solve again
+     */
+    redo() {
+        this.#showHistoryStep(this.history.redo());
+    }
+
+    /**
+     * Remove all rows (undoable)
+     */
+    clearGrid() {
+        this.grid.clear();
+        this.finishRetype();
+        this.#recordChange('clear');
+        this.#triggerSolverUpdate();
+    }
+
+    #showHistoryStep(step) {
+        if (!step) return;
+        
+        this.grid.setRows(step.rows);
+        this.#snapshot = step.rows;
+        this.finishRetype();
+        this.#updateHistoryButtons();
+        this.#triggerSolverUpdate();
+    }
+
+    /**
+     * Record the grid change since the last snapshot in the history
+     * @param {string} type - Kind of change
+     */
+    #recordChange(type) {
+        if (!this.#recording) return;
+        
+        const rows = this.getConstraints().rows;
+        this.history.record(type, this.#snapshot, rows);
+        this.#snapshot = rows;
+        this.#updateHistoryButtons();
+    }
+
+    #updateHistoryButtons() {
+        this.undoBtn.disabled = !this.history.canUndo;
+        this.redoBtn.disabled = !this.history.canRedo;
+    }
+
+    /**
+     * Let the word input replace the word of a row instead of adding one
+     * @param {number} rowIndex - Row to retype
+     */
+    startRetype(rowIndex) {
+        this.retypeIndex = rowIndex;
+        this.wordInput.value = this.grid.words[rowIndex] ?? '';
+        this.wordInput.setCustomValidity('');
+        this.addWordBtn.textContent = `Přepsat ${rowIndex + 1}. řádek`;
+        this.wordInput.focus();
+        this.wordInput.select();
+    }
+
+    /**
+     * Go back to adding words
+     */
+    finishRetype() {
+        this.retypeIndex = null;
+        this.addWordBtn.textContent = 'Přidat slovo';
+    }
+
+    /**
+     * Replace the word of the row being retyped as one grid change
+     * @param {string} word - New 5-letter word
+     * @param {Array<number>|null} states - Typed colors (null keeps colors of unchanged letters)
+     */
+    retypeWord(word, states = null) {
+        this.grid.replaceWord(this.retypeIndex, word, states);
+    }
+
     /**
      * Handle copy URL link click
      */
@@ -118,31 +332,110 @@ export class WordleUI {
     }
 
     /**
-     * Validate green letter constraints for Wordle.cz rules
-     * @returns {boolean} True if valid, false if conflicting green letters exist
+     * Color the on-screen keyboard by the current grid
+     */
+    updateKeyboard() {
+        this.keyboard.update(this.getConstraints().rows);
+    }
+
+    /**
+     * Whether hard mode (reuse of revealed hints) is enabled
+     * @returns {boolean} Hard mode setting
+     */
+    isHardMode() {
+        return this.hardModeToggle.checked;
+    }
+
+    /**
+     * Check that all rows can be true at once and mark conflicting letter boxes
+     * @returns {Object} { isValid, conflicts } from validateGridConsistency
      */
-    validateGreenLetters() {
+    validateGrid() {
+        const result = validateGridConsistency(this.getConstraints().rows);
+        this.#markConflicts(result.conflicts);
+        return result;
+    }
+
+    /**
+     * Highlight letter boxes taking part in a conflict (and clear the rest)
+     * @param {Array} conflicts - Conflicts from validateGridConsistency
+     */
+    #markConflicts(conflicts) {
         const wordRows = [...this.grid.querySelectorAll('word-row')];
-        const result = validateGreenLetterConstraints(wordRows);
-        return result.isValid;
+        const messages = new Map();
+        
+        for (const { cells, message } of conflicts) {
+            for (const { row, position } of cells) {
+                const box = wordRows[row]?.getLetterBoxes()[position];
+                if (!box) continue;
+                if (!messages.has(box)) messages.set(box, []);
+                messages.get(box).push(message);
+            }
+        }
+        
+        for (const wordRow of wordRows) {
+            for (const box of wordRow.getLetterBoxes()) {
+                const boxMessages = messages.get(box);
+                box.classList.toggle('conflict', Boolean(boxMessages));
+                if (boxMessages) {
+                    box.title = boxMessages.join('\n');
+                } else {
+                    box.removeAttribute('title');
+                }
+            }
+        }
     }
 
     /**
      * Show validation warning in the suggestion list
+     * @param {Array} conflicts - Conflicts from validateGridConsistency
      */
-    showValidationWarning() {
-        this.suggestionList.innerHTML = '<div class="callout warning" style="grid-column: 1 / -1;">Neplatná kombinace: Zelená písmena na stejné pozici musí být stejná.</div>';
+    showValidationWarning(conflicts = []) {
+        const callout = document.createElement('div');
+        callout.className = 'callout warning';
+        callout.style.gridColumn = '1 / -1';
+        callout.textContent = 'Neplatná kombinace barev – zvýrazněná písmena si odporují:';
+        
+        const list = document.createElement('ul');
+        for (const { message } of conflicts) {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        }
+        callout.appendChild(list);
+        
+        this.suggestionList.replaceChildren(callout);
         this.showMoreBtn.hidden = true;
+        this.heatmapSection.hidden = true;
+        this.announcedCount = null;
+        this.#announce('Neplatná kombinace barev');
+        this.displayProbes([]);
+        this.displayEndgame(null);
     }
 
     /**
      * Display word suggestions using web components
-     * @param {Array} suggestions - Array of suggested words
+     * @param {Array<{word: string, score: number}>} suggestions - Ranked suggestions
+     * @param {number} count - Number of possible words (announced when it changes)
      */
-    displaySuggestions(suggestions) {
+    displaySuggestions(suggestions, count = suggestions.length) {
         this.allSuggestions = suggestions;
         this.displayLimit = 10; // Reset to initial limit
         this.#renderSuggestions();
+        
+        if (count !== this.announcedCount) {
+            this.announcedCount = count;
+            const words = count === 1 ? 'možné slovo' : count > 1 && count < 5 ? 'možná slova' : 'možných slov';
+            this.#announce(`${count} ${words}`);
+        }
+    }
+
+    /**
+     * Read a short status out through the live region
+     * @param {string} message - Status text
+     */
+    #announce(message) {
+        this.liveStatus.textContent = message;
     }
     
     /**
@@ -157,9 +450,16 @@ export class WordleUI {
         } else {
             const wordsToShow = this.allSuggestions.slice(0, this.displayLimit);
             
-            wordsToShow.forEach(word => {
+            wordsToShow.forEach(({ word, score, interpretation, probability }) => {
                 const item = document.createElement('suggestion-item');
                 item.textContent = word;
+                item.setAttribute('score', score.toString());
+                if (probability) {
+                    item.setAttribute('probability', probability.toString());
+                }
+                if (interpretation?.length) {
+                    this.#tagInterpretation(item, interpretation);
+                }
                 this.suggestionList.appendChild(item);
             });
             
@@ -175,16 +475,257 @@ export class WordleUI {
     }
 
 
+    /**
+     * Show which colors of the uncertain boxes a suggestion assumes,
+     * e.g. tag "modrá" and title "2. řádek, 3. písmeno: modrá"
+     * @param {HTMLElement} item - Suggestion item
+     * @param {Array<{row: number, position: number, state: number}>} interpretation - Assumed states
+     */
+    #tagInterpretation(item, interpretation) {
+        const colors = {
+            [LETTER_STATES.GRAY]: 'šedá',
+            [LETTER_STATES.ORANGE]: 'oranžová',
+            [LETTER_STATES.BLUE]: 'modrá',
+            [LETTER_STATES.GREEN]: 'zelená'
+        };
+        
+        item.setAttribute('tag', interpretation.map(({ state }) => colors[state]).join(', '));
+        item.title = interpretation
+            .map(({ row, position, state }) => `${row + 1}. řádek, ${position + 1}. písmeno: ${colors[state]}`)
+            .join('\n');
+    }
+
+    /**
+     * Offer color changes that revive a grid without possible words
+     * @param {Array} repairs - Fixes from findRepairs
+     */
+    displayRepairs(repairs) {
+        if (repairs.length === 0) return;
+        
+        const callout = document.createElement('div');
+        callout.className = 'callout';
+        callout.style.gridColumn = '1 / -1';
+        callout.textContent = 'Možná jste špatně klikli na barvu. Zkuste opravu:';
+        
+        const list = document.createElement('ul');
+        repairs.forEach(({ changes, count, words }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'outline primary';
+            button.textContent = this.#describeRepair(changes, count);
+            button.title = words.slice(0, 10).join(', ').toUpperCase();
+            button.addEventListener('click', () => this.#applyRepair(changes));
+            
+            const item = document.createElement('li');
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        callout.appendChild(list);
+        
+        this.suggestionList.appendChild(callout);
+    }
+
+    /**
+     * Describe a fix in Czech, e.g. "Změňte 3. písmeno v řádku 2 na oranžovou → 4 slova"
+     */
+    #describeRepair(changes, count) {
+        const colors = {
+            [LETTER_STATES.GRAY]: 'šedou',
+            [LETTER_STATES.ORANGE]: 'oranžovou',
+            [LETTER_STATES.BLUE]: 'modrou',
+            [LETTER_STATES.GREEN]: 'zelenou'
+        };
+        const words = count === 1 ? 'slovo' : count < 5 ? 'slova' : 'slov';
+        const parts = changes.map(({ row, position, to }) =>
+            `${position + 1}. písmeno v řádku ${row + 1} na ${colors[to]}`);
+        
+        return `Změňte ${parts.join(' a ')} → ${count} ${words}`;
+    }
+
+    /**
+     * Apply a fix to the letter boxes and let the app solve again
+     * @param {Array} changes - Changes of the fix
+     */
+    #applyRepair(changes) {
+        const wordRows = [...this.grid.querySelectorAll('word-row')];
+        
+        changes.forEach(({ row, position, to }) => {
+            const box = wordRows[row]?.getLetterBoxes()[position];
+            box?.removeAttribute('alt-state');
+            box?.setAttribute('state', to.toString());
+        });
+        
+        document.dispatchEvent(new CustomEvent('state-change', { detail: { repair: changes } }));
+    }
+
+    /**
+     * Display probe guesses separately from possible answers
+     * @param {Array<{word: string, score: number}>} probes - Ranked probe guesses
+     */
+    displayProbes(probes) {
+        this.probeList.innerHTML = '';
+        this.probesSection.hidden = probes.length === 0;
+        
+        probes.forEach(({ word, score }) => {
+            const item = document.createElement('suggestion-item');
+            item.textContent = word;
+            item.setAttribute('score', score.toString());
+            this.probeList.appendChild(item);
+        });
+    }
+
+    /**
+     * Display how often each letter stands at each position among the possible words
+     * @param {Array<Array<{letter: string, count: number, share: number}>>} positions - From positionFrequencies
+     * @param {Object|null} letterAt - Selected { position, letter } filter
+     */
+    displayHeatmap(positions, letterAt = null) {
+        const shown = 10; // Letters listed per position, the rest are summarized
+        this.heatmapSection.hidden = positions.every(letters => letters.length === 0);
+        
+        this.heatmap.replaceChildren(...positions.map((letters, position) => {
+            const column = document.createElement('div');
+            column.className = 'heatmap-column';
+            
+            const heading = document.createElement('strong');
+            heading.textContent = `${position + 1}.`;
+            column.appendChild(heading);
+            
+            letters.slice(0, shown).forEach(({ letter, count, share }) => {
+                const percent = Math.round(share * 100);
+                const cell = document.createElement('button');
+                cell.type = 'button';
+                cell.className = 'heatmap-cell';
+                cell.style.setProperty('--share', share.toString());
+                cell.textContent = `${letter.toUpperCase()} ${percent} %`;
+                cell.title = `${letter.toUpperCase()} na ${position + 1}. pozici: ${count} ${count === 1 ? 'slovo' : count < 5 ? 'slova' : 'slov'}`;
+                cell.setAttribute('aria-pressed', String(letterAt?.position === position && letterAt?.letter === letter));
+                cell.addEventListener('click', () => {
+                    cell.dispatchEvent(new CustomEvent('heatmap-select', {
+                        detail: { position, letter },
+                        bubbles: true
+                    }));
+                });
+                column.appendChild(cell);
+            });
+            
+            const rest = letters.slice(shown);
+            if (rest.length > 0) {
+                const more = document.createElement('span');
+                more.textContent = `+ ${rest.length} dalších`;
+                more.title = rest.map(({ letter }) => letter.toUpperCase()).join(', ');
+                column.appendChild(more);
+            }
+            
+            return column;
+        }));
+    }
+
+    /**
+     * List letter counts the grid proves, e.g. "A právě 2×, S alespoň 1×"
+     */
+    displayLetterCounts() {
+        const bounds = letterCountBounds(this.getConstraints().rows);
+        this.letterCounts.hidden = bounds.length === 0;
+        this.letterCounts.textContent = 'Známé počty: ' + bounds
+            .map(({ letter, min, exact }) => `${letter.toUpperCase()} ${exact ? 'právě' : 'alespoň'} ${min}×`)
+            .join(', ');
+    }
+
+    /**
+     * Display the result of the exhaustive endgame search
+     * @param {Object|null} endgame - { guess, worstCase, expected } or null to hide
+     */
+    displayEndgame(endgame) {
+        this.endgameCallout.hidden = !endgame;
+        if (!endgame) return;
+        
+        const { guess, worstCase } = endgame;
+        const attempts = worstCase === 1 ? 'pokus' : worstCase < 5 ? 'pokusy' : 'pokusů';
+        this.endgameCallout.textContent =
+            `Zahrajte ${guess.toUpperCase()} – vyřešíte nejpozději za ${worstCase} ${attempts}.`;
+    }
+
+    /**
+     * Get the word typed into the explanation field
+     * @returns {string} Uppercase word (may be incomplete)
+     */
+    getExplainWord() {
+        return this.explainInput.value.trim().toUpperCase();
+    }
+
+    /**
+     * Display why a word is or is not among the possible words
+     * @param {string} word - Explained word
+     * @param {Object|null} result - Result of WordleSolver.explainWord, null to clear
+     */
+    displayExplanation(word, result) {
+        this.explainResult.innerHTML = '';
+        if (!result) return;
+        
+        const callout = document.createElement('div');
+        
+        if (result.valid) {
+            callout.className = 'callout success';
+            callout.textContent = result.inDictionary
+                ? `Slovo ${word} odpovídá všem zadaným barvám.`
+                : `Slovo ${word} odpovídá všem zadaným barvám, ale není ve slovníku Wordle.cz.`;
+        } else {
+            callout.className = 'callout warning';
+            callout.textContent = `Slovo ${word} je vyřazeno:`;
+            
+            const list = document.createElement('ul');
+            result.violations.forEach(violation => {
+                const item = document.createElement('li');
+                item.textContent = this.#describeViolation(violation);
+                list.appendChild(item);
+            });
+            callout.appendChild(list);
+        }
+        
+        this.explainResult.appendChild(callout);
+    }
+
+    /**
+     * Describe a violated rule in Czech
+     * @param {Object} violation - Violation from explainWord
+     * @returns {string} Human-readable explanation
+     */
+    #describeViolation({ type, letter, position, row, actual, expected }) {
+        const upperLetter = letter.toUpperCase();
+        const source = row === null || row === undefined ? '' : ` (${row + 1}. řádek)`;
+        
+        switch (type) {
+            case 'position':
+                return `Na ${position + 1}. pozici musí být písmeno ${upperLetter}${source}.`;
+            case 'forbidden':
+                return `Písmeno ${upperLetter} nemůže být na ${position + 1}. pozici${source}.`;
+            case 'min':
+                return `Písmeno ${upperLetter} musí být ve slově alespoň ${expected}×, je tam ${actual}×${source}.`;
+            case 'max':
+                return expected === 0
+                    ? `Písmeno ${upperLetter} ve slově není${source}.`
+                    : `Písmeno ${upperLetter} může být ve slově nejvýše ${expected}×, je tam ${actual}×${source}.`;
+            default:
+                return `Neznámé pravidlo pro písmeno ${upperLetter}${source}.`;
+        }
+    }
+
     /**
      * Validate word input using HTML5 validation
      * @param {string} word - Word to validate
+     * @param {number} rowCount - Rows whose hints hard mode enforces (all by default)
      * @returns {Promise<boolean>} Validation result
      */
-    async validateWord(word) {
+    async validateWord(word, rowCount = undefined) {
         // Clear any previous custom validity
         this.wordInput.setCustomValidity('');
         
-        const result = await validateWordInput(word, this.solver);
+        const { rows } = this.getConstraints();
+        const result = await validateWordInput(word, this.solver, {
+            hardMode: this.isHardMode(),
+            constraints: { rows: rows.slice(0, rowCount) }
+        });
         
         if (!result.isValid) {
             this.wordInput.setCustomValidity(result.message);
@@ -211,8 +752,17 @@ export class WordleUI {
         const constraints = this.getConstraints();
         const normalizedSuggestion = normalizeCzechText(suggestionWord.toLowerCase());
         
+        const greenLetters = {};
+        constraints.rows.forEach(({ word, states }) => {
+            states.forEach((state, pos) => {
+                if (state === LETTER_STATES.GREEN) {
+                    greenLetters[pos] = word[pos];
+                }
+            });
+        });
+        
         // If there are no green constraints, nothing to auto-set
-        if (Object.keys(constraints.green).length === 0) {
+        if (Object.keys(greenLetters).length === 0) {
             return;
         }
         
@@ -220,12 +770,12 @@ export class WordleUI {
         this.pendingGreenPositions = {};
         
         // Check each green constraint
-        Object.entries(constraints.green).forEach(([position, letter]) => {
+        Object.entries(greenLetters).forEach(([position, letter]) => {
             const pos = parseInt(position);
             const suggestionLetter = normalizedSuggestion[pos];
             
             // If the suggestion has the same letter at the same position, mark it for auto-green
-            if (suggestionLetter === letter.toLowerCase()) {
+            if (suggestionLetter === normalizeCzechText(letter)) {
                 this.pendingGreenPositions[pos] = letter;
             }
         });
@@ -272,6 +822,8 @@ export class WordleUI {
         });
         
         if (restored) {
+            this.#recordChange('restore');
+            
             // Show suggestions panel
             this.showSuggestionsPanel();
             
@@ -1,4 +1,44 @@
 // URL state management utilities for sharing game state
+import { LETTER_STATES } from './algorithm.js';
+
+// Letters encoding a box uncertain between two states (e.g. 'b' = gray or blue)
+const UNCERTAIN_CODES = {
+    a: [LETTER_STATES.GRAY, LETTER_STATES.ORANGE],
+    b: [LETTER_STATES.GRAY, LETTER_STATES.BLUE],
+    c: [LETTER_STATES.GRAY, LETTER_STATES.GREEN],
+    d: [LETTER_STATES.ORANGE, LETTER_STATES.BLUE],
+    e: [LETTER_STATES.ORANGE, LETTER_STATES.GREEN],
+    f: [LETTER_STATES.BLUE, LETTER_STATES.GREEN]
+};
+
+/**
+ * Encodes one box state as a URL character
+ * @param {number|Array<number>} state - State code or uncertain [a, b] pair
+ * @returns {string} Digit, or a letter for uncertain pairs
+ */
+function encodeState(state) {
+    if (!Array.isArray(state)) {
+        return state.toString();
+    }
+    const [code] = Object.entries(UNCERTAIN_CODES)
+        .find(([, [a, b]]) => a === state[0] && b === state[1]) ?? [];
+    // Unknown pairs cannot be shared, they tell nothing definite
+    return code ?? LETTER_STATES.UNSET.toString();
+}
+
+/**
+ * Decodes one URL character into a box state
+ * @param {string} char - Digit or uncertain pair letter
+ * @returns {number|Array<number>|null} State, or null when invalid
+ */
+function decodeState(char) {
+    const pair = UNCERTAIN_CODES[char.toLowerCase()];
+    if (pair) {
+        return [...pair];
+    }
+    const state = /^\d$/.test(char) ? parseInt(char) : NaN;
+    return state >= LETTER_STATES.GRAY && state <= LETTER_STATES.UNSET ? state : null;
+}
 
 /**
  * Serializes game state to URL parameters
@@ -23,7 +63,7 @@ export function serializeGameState(words, wordRows) {
         }
         
         const states = letterBoxes
-            .map(box => box.state.toString())
+            .map(box => encodeState(box.stateValue))
             .join('');
             
         slovoParams.push(`${word}${states}`);
@@ -66,7 +106,8 @@ export function parseGameStateFromUrl(urlString = window.location.search) {
 
 /**
  * Parses a single slovo parameter into word and states
- * @param {string} slovo - Slovo parameter (e.g., "HOUSE01230")
+ * @param {string} slovo - Slovo parameter (e.g., "HOUSE01234", 4 = not colored yet,
+ *   letters a-f = uncertain between two colors; older links only use 0-3)
  * @returns {Object|null} Parsed word state or null if invalid
  */
 function parseWordState(slovo) {
@@ -83,9 +124,9 @@ function parseWordState(slovo) {
         return null;
     }
     
-    // Validate states are numeric and in valid range
-    const stateArray = states.split('').map(s => parseInt(s));
-    if (stateArray.some(state => isNaN(state) || state < 0 || state > 3)) {
+    // Validate states are known codes
+    const stateArray = states.split('').map(decodeState);
+    if (stateArray.some(state => state === null)) {
         console.warn(`Invalid states for word: ${word}`);
         return null;
     }
@@ -118,14 +159,7 @@ export function restoreGameStateFromUrl(grid, onError = null) {
         for (const { word, states } of parsedStates) {
             try {
                 const wordRow = grid.addWord(word);
-                const letterBoxes = wordRow.getLetterBoxes();
-                
-                // Apply states
-                letterBoxes.forEach((box, index) => {
-                    if (index < states.length) {
-                        box.setAttribute('state', states[index].toString());
-                    }
-                });
+                wordRow.setStates(states);
                 
                 successCount++;
             } catch (error) {
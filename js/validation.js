@@ -1,13 +1,18 @@
 // Validation utilities for Wordle.cz solver
-import { normalizeCzechText } from './algorithm.js';
+import {
+    normalizeCzechText, findHardModeViolation, deriveKnowledge, expandInterpretations, isUncertainState, LETTER_STATES
+} from './algorithm.js';
 
 /**
  * Validates word input according to Wordle.cz rules
  * @param {string} word - Word to validate
  * @param {Object} solver - Solver instance (optional, for dictionary check)
+ * @param {Object} options - Optional hard mode check
+ * @param {boolean} options.hardMode - Require reuse of revealed hints
+ * @param {Object} options.constraints - Constraints from the grid ({ rows })
  * @returns {Promise<Object>} Validation result with isValid flag and message
  */
-export async function validateWordInput(word, solver = null) {
+export async function validateWordInput(word, solver = null, { hardMode = false, constraints = null } = {}) {
     // Check length
     if (word.length !== 5) {
         return {
@@ -35,12 +40,95 @@ export async function validateWordInput(word, solver = null) {
         }
     }
     
+    // Check hard mode rules
+    if (hardMode && constraints) {
+        const violation = findHardModeViolation(word, constraints);
+        if (violation) {
+            return {
+                isValid: false,
+                message: describeHardModeViolation(violation)
+            };
+        }
+    }
+    
     return { isValid: true };
 }
 
+/**
+ * Describes a hard mode violation in Czech
+ * @param {Object} violation - Violation from findHardModeViolation
+ * @returns {string} Validation message
+ */
+function describeHardModeViolation({ type, letter, position, row, expected }) {
+    const upperLetter = letter.toUpperCase();
+    
+    if (type === 'position') {
+        return `Těžký režim: na ${position + 1}. pozici musí být písmeno ${upperLetter} (${row + 1}. řádek)`;
+    }
+    
+    const copies = expected > 1 ? ` ${expected}×` : '';
+    return `Těžký režim: slovo musí obsahovat písmeno ${upperLetter}${copies} (${row + 1}. řádek, ${position + 1}. pozice)`;
+}
+
+// Feedback pattern symbols: letters as in the tests (X gray, O orange, B blue,
+// G green), state digits, and the squares of shared Wordle.cz results
+const FEEDBACK_SYMBOLS = {
+    X: LETTER_STATES.GRAY, '0': LETTER_STATES.GRAY, '⬜': LETTER_STATES.GRAY, '⬛': LETTER_STATES.GRAY,
+    O: LETTER_STATES.ORANGE, '1': LETTER_STATES.ORANGE, '🟨': LETTER_STATES.ORANGE, '🟧': LETTER_STATES.ORANGE,
+    B: LETTER_STATES.BLUE, '2': LETTER_STATES.BLUE, '🟦': LETTER_STATES.BLUE,
+    G: LETTER_STATES.GREEN, '3': LETTER_STATES.GREEN, '🟩': LETTER_STATES.GREEN,
+    '.': LETTER_STATES.UNSET, '4': LETTER_STATES.UNSET
+};
+
+/**
+ * Parses a typed feedback pattern such as "XOOXX", "01230" or "⬜🟨🟨⬜⬜"
+ * @param {string} pattern - Five feedback symbols (case-insensitive, spaces ignored)
+ * @returns {Object} { isValid, states } or { isValid: false, message }
+ */
+export function parseFeedbackPattern(pattern) {
+    const symbols = [...(pattern || '').toUpperCase().replace(/[\s\uFE0F]/g, '')];
+    
+    if (symbols.length !== 5) {
+        return {
+            isValid: false,
+            message: 'Barvy musí mít přesně 5 znaků (např. XOOXX nebo 01230)!'
+        };
+    }
+    
+    const unknown = symbols.find(symbol => !(symbol in FEEDBACK_SYMBOLS));
+    if (unknown !== undefined) {
+        return {
+            isValid: false,
+            message: `Neznámá barva "${unknown}" – použijte X (šedá), O (oranžová), B (modrá), G (zelená) nebo číslice 0–3.`
+        };
+    }
+    
+    return {
+        isValid: true,
+        states: symbols.map(symbol => FEEDBACK_SYMBOLS[symbol])
+    };
+}
+
+/**
+ * Splits the word input into the word and an optional feedback pattern,
+ * e.g. "PISEK XOOXX" → { word: 'PISEK', pattern: 'XOOXX' }
+ * @param {string} input - Text of the word input
+ * @returns {{word: string, pattern: string|null}} Uppercase word and pattern (null when missing)
+ */
+export function parseGuessInput(input) {
+    const [word = '', ...rest] = (input || '').trim().split(/\s+/);
+    const pattern = rest.join('');
+    
+    return {
+        word: word.toUpperCase(),
+        pattern: pattern || null
+    };
+}
+
 /**
  * Validates green letter constraints for Wordle.cz rules
  * Ensures no conflicts: same letter can't be green at different positions
+ * (the grid uses validateGridConsistency, which covers all contradictions)
  * @param {NodeList} wordRows - Collection of word-row elements
  * @returns {Object} Validation result with isValid flag and conflictInfo
  */
@@ -92,6 +180,185 @@ export function validateGreenLetterConstraints(wordRows) {
     return { isValid: true };
 }
 
+/**
+ * Checks whether the grid rows can all be true at once
+ *
+ * Reports every contradiction together with the letter boxes causing it:
+ * - 'position': different letters confirmed (green/blue) at one position
+ * - 'forbidden': a letter confirmed where another row rules it out
+ * - 'count': rows disagree on how many times a letter appears
+ * - 'placed': a letter confirmed at more positions than it may appear
+ * - 'total': more required letters than the five slots
+ * - 'slots': required letters cannot be placed into the allowed positions
+ *
+ * With uncertain boxes the grid is consistent when any reading of them is;
+ * otherwise the conflicts of the first reading are reported.
+ *
+ * @param {Array<{word: string, states: Array}>} rows - Guessed rows
+ * @returns {Object} { isValid, conflicts: [{ type, letter, cells: [{ row, position }], message }] }
+ */
+export function validateGridConsistency(rows) {
+    if (!rows.some(({ states }) => states.some(isUncertainState))) {
+        return findGridConflicts(rows);
+    }
+    
+    let first = null;
+    for (const reading of expandInterpretations(rows)) {
+        const result = findGridConflicts(reading.rows);
+        if (result.isValid) return result;
+        first ??= result;
+    }
+    return first;
+}
+
+/**
+ * Contradictions of rows with definite colors (see validateGridConsistency)
+ */
+function findGridConflicts(rows) {
+    const { letters } = deriveKnowledge(rows);
+    const grid = rows.map(({ word, states }) => [...normalizeCzechText(word)]
+        .map((letter, position) => ({ letter, state: states[position], position })));
+    const conflicts = [];
+    
+    // Colored cells of a letter, optionally limited to some rows and a predicate
+    const cellsOf = (letter, rowIndexes = grid.keys(), predicate = () => true) => {
+        const cells = [];
+        for (const row of new Set(rowIndexes)) {
+            if (row === null || !grid[row]) continue;
+            for (const cell of grid[row]) {
+                if (cell.letter === letter && cell.state !== LETTER_STATES.UNSET && predicate(cell)) {
+                    cells.push({ row, position: cell.position });
+                }
+            }
+        }
+        return cells;
+    };
+    const isExact = ({ state }) => state === LETTER_STATES.GREEN || state === LETTER_STATES.BLUE;
+    const upper = letter => letter.toUpperCase();
+    const rowName = row => `${row + 1}. řádku`;
+    
+    // Different letters confirmed at one position
+    for (let position = 0; position < 5; position++) {
+        const claimed = Object.entries(letters)
+            .filter(([, { positions }]) => positions.has(position))
+            .map(([letter]) => letter);
+        
+        if (claimed.length > 1) {
+            conflicts.push({
+                type: 'position',
+                letter: claimed[0],
+                cells: claimed.flatMap(letter =>
+                    cellsOf(letter, grid.keys(), cell => isExact(cell) && cell.position === position)),
+                message: `Na ${position + 1}. pozici nemohou být zároveň písmena ${claimed.map(upper).join(' a ')}.`
+            });
+        }
+    }
+    
+    for (const [letter, { min, max, positions, forbidden, sources }] of Object.entries(letters)) {
+        // Rows disagree on the count
+        if (min > max) {
+            conflicts.push({
+                type: 'count',
+                letter,
+                cells: cellsOf(letter, [sources.min, sources.max]),
+                message: sources.min === sources.max
+                    ? `V ${rowName(sources.min)} si barvy písmene ${upper(letter)} odporují (alespoň ${min}×, ale nejvýše ${max}×).`
+                    : `Písmeno ${upper(letter)} je podle ${rowName(sources.min)} ve slově alespoň ${min}×, ale podle ${rowName(sources.max)} nejvýše ${max}×.`
+            });
+            continue;
+        }
+        
+        // Confirmed where another row rules it out
+        for (const position of positions) {
+            if (forbidden.has(position)) {
+                conflicts.push({
+                    type: 'forbidden',
+                    letter,
+                    cells: cellsOf(letter, grid.keys(), cell => cell.position === position),
+                    message: `Písmeno ${upper(letter)} je na ${position + 1}. pozici potvrzené (${sources.positions[position] + 1}. řádek), ale podle ${rowName(sources.forbidden[position])} tam být nemůže.`
+                });
+            }
+        }
+        
+        // Confirmed at more positions than it may appear
+        if (positions.size > max) {
+            conflicts.push({
+                type: 'placed',
+                letter,
+                cells: [...cellsOf(letter, grid.keys(), isExact), ...cellsOf(letter, [sources.max], cell => !isExact(cell))],
+                message: `Písmeno ${upper(letter)} je potvrzené na ${positions.size} pozicích, ale podle ${rowName(sources.max)} je ve slově nejvýše ${max}×.`
+            });
+        }
+    }
+    
+    if (conflicts.length > 0) {
+        return { isValid: false, conflicts };
+    }
+    
+    // Required letters must fit into five slots
+    const required = Object.entries(letters).filter(([, { min }]) => min > 0);
+    const requiredCells = (allRows) => required.flatMap(([letter, { sources }]) =>
+        cellsOf(letter, allRows ? grid.keys() : [sources.min], cell => cell.state !== LETTER_STATES.GRAY));
+    const total = required.reduce((sum, [, { min, positions }]) => sum + Math.max(min, positions.size), 0);
+    
+    if (total > 5) {
+        conflicts.push({
+            type: 'total',
+            letter: required[0][0],
+            cells: requiredCells(false),
+            message: `Řádky vyžadují alespoň ${total} písmen, ale slovo jich má jen 5.`
+        });
+    } else if (!canPlaceLetters(letters)) {
+        conflicts.push({
+            type: 'slots',
+            letter: required[0][0],
+            // Every row forbidding positions takes part
+            cells: requiredCells(true),
+            message: `Písmena ${required.map(([letter]) => upper(letter)).join(', ')} se nedají rozmístit na povolené pozice.`
+        });
+    }
+    
+    return { isValid: conflicts.length === 0, conflicts };
+}
+
+/**
+ * Whether some word satisfies all letter knowledge
+ *
+ * Fills the five positions one by one with a known letter (where allowed and
+ * below its maximum) or with any other letter, and checks every minimum is met.
+ *
+ * @param {Object} letters - Letter knowledge from deriveKnowledge
+ * @returns {boolean} True if the letters can be placed
+ */
+function canPlaceLetters(letters) {
+    const entries = Object.entries(letters);
+    const counts = new Map(entries.map(([letter]) => [letter, 0]));
+    
+    const deficit = () => entries.reduce((sum, [letter, { min }]) => sum + Math.max(0, min - counts.get(letter)), 0);
+    
+    const fill = (position) => {
+        if (deficit() > 5 - position) return false;
+        if (position === 5) return true;
+        
+        const confirmed = entries.find(([, { positions }]) => positions.has(position));
+        const options = confirmed
+            ? [confirmed]
+            : entries.filter(([letter, { max, forbidden }]) => !forbidden.has(position) && counts.get(letter) < max);
+        
+        for (const [letter] of options) {
+            counts.set(letter, counts.get(letter) + 1);
+            const placed = fill(position + 1);
+            counts.set(letter, counts.get(letter) - 1);
+            if (placed) return true;
+        }
+        
+        // Any letter the rows say nothing about
+        return !confirmed && fill(position + 1);
+    };
+    
+    return fill(0);
+}
+
 /**
  * Validates that a word can be added to the grid
  * @param {number} currentWordCount - Current number of words in grid
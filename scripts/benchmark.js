@@ -0,0 +1,204 @@
+// Full-dictionary benchmark of solver strategies
+// Run with: node scripts/benchmark.js [--strategy entropy|frequency] [--hard] [--limit N] [--json results.json]
+//
+// Plays every word in words.txt as the hidden answer, always guessing the top
+// suggestion of WordleSolver (opening book first, like the app), and reports
+// how many guesses the solver needed.
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { parseArgs } from 'util';
+import { parseWordsFromContent, parseFrequencies, filterWords, computeFeedback } from '../js/algorithm.js';
+import { WordleSolver } from '../js/solver.js';
+
+// Data files are read next to the app, wherever the script is run from
+const ROOT = new URL('../', import.meta.url);
+
+// Games longer than this are stopped and counted as failures
+const MAX_GUESSES = 10;
+
+// Wordle.cz allows six rows
+const ALLOWED_GUESSES = 6;
+
+const SOLVED = '33333';
+
+// Ranking modes of getSuggestions
+const STRATEGIES = ['entropy', 'frequency'];
+
+const USAGE = 'Usage: node scripts/benchmark.js [--strategy entropy|frequency] [--hard] [--limit N] [--json results.json]';
+
+/**
+ * Reports invalid arguments and exits
+ */
+function usageError(message) {
+    console.error(message);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+let options;
+try {
+    ({ values: options } = parseArgs({
+        options: {
+            strategy: { type: 'string', default: 'entropy' },
+            hard: { type: 'boolean', default: false },
+            limit: { type: 'string' },
+            json: { type: 'string' }
+        }
+    }));
+} catch (error) {
+    usageError(error.message);
+}
+
+if (!STRATEGIES.includes(options.strategy)) {
+    usageError(`Unknown strategy "${options.strategy}", expected one of: ${STRATEGIES.join(', ')}`);
+}
+
+if (options.limit !== undefined && !/^[1-9]\d*$/.test(options.limit)) {
+    usageError(`--limit must be a positive integer, got "${options.limit}"`);
+}
+
+/**
+ * Reads a data file of the app, null when it does not exist
+ */
+function readDataFile(name) {
+    const url = new URL(name, ROOT);
+    return existsSync(url) ? readFileSync(url, 'utf-8') : null;
+}
+
+/**
+ * Plays one game against a known answer
+ * @param {string} answer - Hidden word
+ * @param {Function} nextGuess - Resolves with the guess for the rows played so far
+ * @returns {Promise<Array<string>>} Guessed words (last one is the answer when solved)
+ */
+async function playGame(answer, nextGuess) {
+    const rows = [];
+    
+    while (rows.length < MAX_GUESSES) {
+        const guess = await nextGuess(rows);
+        if (!guess) break;
+        
+        const states = computeFeedback(guess, answer);
+        rows.push({ word: guess, states });
+        
+        if (states.join('') === SOLVED) break;
+    }
+    
+    return rows.map(({ word }) => word);
+}
+
+/**
+ * Creates a guess function that memoizes the solver's choice per game state
+ * (the solver is deterministic, so games sharing a prefix share guesses)
+ */
+function createGuesser(solver) {
+    const cache = new Map();
+    
+    return async rows => {
+        const key = rows.map(({ word, states }) => `${word}${states.join('')}`).join(',');
+        
+        if (!cache.has(key)) {
+            const [best] = await solver.getSuggestions({ rows }, 1, {
+                mode: options.strategy,
+                hardMode: options.hard
+            });
+            cache.set(key, best?.word ?? null);
+        }
+        
+        return cache.get(key);
+    };
+}
+
+// Weighted like in the app, so common words are guessed first
+const frequencies = readDataFile('frequencies.txt');
+const wordMetadata = parseWordsFromContent(
+    readDataFile('words.txt').trim(),
+    frequencies === null ? null : parseFrequencies(frequencies)
+);
+const answers = options.limit
+    ? wordMetadata.slice(0, Number(options.limit))
+    : wordMetadata;
+
+// Sanity check that the dictionary filters like the app does
+if (filterWords(wordMetadata, { rows: [] }).length !== wordMetadata.length) {
+    throw new Error('Empty constraints should keep every word');
+}
+
+// The solver consults the opening book like in the app (a stale book is
+// ignored); feedback patterns are cached in .cache/ and reused by later runs
+const book = readDataFile('opening-book.json');
+const solver = new WordleSolver(wordMetadata, { openingBook: book === null ? null : JSON.parse(book) });
+const openingBook = (await solver.bookPromise) !== null;
+await solver.matrixPromise;
+
+const nextGuess = createGuesser(solver);
+const games = [];
+const started = Date.now();
+
+for (const [index, { word }] of answers.entries()) {
+    const gameStarted = Date.now();
+    const guesses = await playGame(word, nextGuess);
+    const solved = guesses[guesses.length - 1] === word;
+    
+    games.push({ word, guesses, solved, time: Date.now() - gameStarted });
+    
+    if ((index + 1) % 100 === 0) {
+        console.error(`Played ${index + 1}/${answers.length} games...`);
+    }
+}
+
+const solvedGames = games.filter(game => game.solved);
+const distribution = {};
+solvedGames.forEach(({ guesses }) => {
+    distribution[guesses.length] = (distribution[guesses.length] || 0) + 1;
+});
+
+const failures = games
+    .filter(game => !game.solved || game.guesses.length > ALLOWED_GUESSES)
+    .map(({ word, guesses }) => ({ word, guesses }));
+
+const average = solvedGames.reduce((sum, { guesses }) => sum + guesses.length, 0) / (solvedGames.length || 1);
+
+const slowest = [...games]
+    .sort((a, b) => b.guesses.length - a.guesses.length || b.time - a.time)
+    .slice(0, 10)
+    .map(({ word, guesses, time }) => ({ word, guesses, time }));
+
+const results = {
+    strategy: options.strategy,
+    hardMode: options.hard,
+    openingBook,
+    games: games.length,
+    solved: solvedGames.length,
+    average,
+    distribution,
+    failures,
+    slowest,
+    time: Date.now() - started
+};
+
+console.log(`\nStrategy: ${results.strategy}${results.hardMode ? ' (hard mode)' : ''}`);
+console.log('═'.repeat(50));
+console.log(`Opening book: ${openingBook && options.strategy === 'entropy' ? 'used for the first two guesses' : 'not used'}`);
+console.log(`Games: ${results.games}, solved: ${results.solved}`);
+console.log(`Average guesses: ${average.toFixed(3)}`);
+console.log('Distribution:');
+Object.entries(distribution).forEach(([count, games]) => {
+    console.log(`  ${count}: ${String(games).padStart(5)} ${'█'.repeat(Math.ceil(games / results.games * 50))}`);
+});
+console.log(`Failures (more than ${ALLOWED_GUESSES} guesses): ${failures.length}`);
+failures.slice(0, 20).forEach(({ word, guesses }) => {
+    console.log(`  ${word}: ${guesses.join(' → ')}`);
+});
+console.log('Slowest words:');
+slowest.forEach(({ word, guesses, time }) => {
+    console.log(`  ${word}: ${guesses.length} guesses (${guesses.join(' → ')}), ${time}ms`);
+});
+console.log(`Total time: ${(results.time / 1000).toFixed(1)}s`);
+
+await solver.patternMatrix.save();
+
+if (options.json) {
+    writeFileSync(options.json, JSON.stringify(results, null, 2));
+    console.log(`Results written to ${options.json}`);
+}
@@ -0,0 +1,64 @@
+// Word frequency list generator
+// Run with: node scripts/generate-frequencies.js <frequency-list.txt> [--credit "source"] [--license "license"]
+//
+// Reads a frequency list of Czech words, one word per line, either with its
+// count ("ještě 41234", as in the FrequencyWords lists) or ranked from the
+// most common without counts. Keeps the words of words.txt and writes them to
+// frequencies.txt, which the solver uses as the prior of each answer. The
+// source and its license are recorded in the file header, since the list is
+// data derived from the source rather than code of this repository.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { parseWordsFromContent, normalizeCzechText } from '../js/algorithm.js';
+
+// Occurrences per million words of the most common word; ranked lists get
+// counts from Zipf's law (the word at rank r is r times rarer than the first)
+const ZIPF_TOP_COUNT = 100000;
+
+// Vulgar and insulting words are frequent in spoken corpora and subtitles but
+// are not Wordle.cz answers; left out, they keep the weight of unlisted words
+const EXCLUDED_WORDS = new Set([
+    'blbec', 'curak', 'debil', 'devka', 'hajzl', 'hovno', 'idiot', 'kokot', 'kurva',
+    'lesba', 'magor', 'mrcha', 'penis', 'porno', 'prdel', 'svine'
+]);
+
+const USAGE = 'Usage: node scripts/generate-frequencies.js <frequency-list.txt> [--credit "source"] [--license "license"]';
+
+const { values: options, positionals: [source] } = parseArgs({
+    options: {
+        credit: { type: 'string' },
+        license: { type: 'string' }
+    },
+    allowPositionals: true
+});
+
+if (!source) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+const dictionary = new Set(parseWordsFromContent(readFileSync('./words.txt', 'utf-8').trim()).map(({ word }) => word));
+const lines = readFileSync(source, 'utf-8').split('\n').map(line => line.trim()).filter(Boolean);
+
+// Forms differing only in diacritics share one normalized word, so add them up
+const counts = new Map();
+lines.forEach((line, index) => {
+    const [word, count] = line.split(/\s+/);
+    const normalized = normalizeCzechText(word.toLowerCase());
+    if (!dictionary.has(normalized) || EXCLUDED_WORDS.has(normalized)) return;
+    
+    const value = count === undefined ? Math.round(ZIPF_TOP_COUNT / (index + 1)) : Number(count);
+    counts.set(normalized, (counts.get(normalized) || 0) + value);
+});
+
+const sorted = [...counts].sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b));
+const header = [
+    '# Word frequencies for words.txt (word count), generated by scripts/generate-frequencies.js',
+    `# Source: ${options.credit ?? source.split(/[\\/]/).pop()}`,
+    ...(options.license ? [`# License: ${options.license}`] : []),
+    `# Left out as unlikely answers: ${[...EXCLUDED_WORDS].join(', ')}`
+];
+
+writeFileSync('./frequencies.txt', [...header, ...sorted.map(([word, count]) => `${word} ${count}`)].join('\n') + '\n');
+console.log(`${sorted.length} of ${dictionary.size} words written to frequencies.txt`);
@@ -0,0 +1,59 @@
+// Opening book generator
+// Run with: node scripts/generate-opening-book.js
+//
+// Computes the best opening words and, for every feedback pattern of the best
+// opening, the best second guess from the whole dictionary. The result is
+// written to opening-book.json, which the solver consults for rows one and two.
+// Words are weighted by frequencies.txt when present, so rebuild the book after
+// changing either file.
+
+import { readFileSync, writeFileSync } from 'fs';
+import {
+    parseWordsFromContent, loadWordFrequencies, rankByEntropy, computeFeedback, hashWords, hashPriors
+} from '../js/algorithm.js';
+
+// Number of ranked opening words kept (enough for the suggestion list)
+const OPENING_SIZE = 50;
+
+const frequencies = await loadWordFrequencies();
+const wordMetadata = parseWordsFromContent(readFileSync('./words.txt', 'utf-8').trim(), frequencies);
+const started = Date.now();
+
+console.log('Ranking opening words...');
+const opening = rankByEntropy(wordMetadata, wordMetadata, OPENING_SIZE);
+const [best] = opening;
+console.log(`Best opening: ${best.word} (${best.score.toFixed(3)} bits)`);
+
+// Split the dictionary by the feedback the best opening gets
+const partitions = new Map();
+for (const answer of wordMetadata) {
+    const pattern = computeFeedback(best.word, answer.word).join('');
+    if (!partitions.has(pattern)) {
+        partitions.set(pattern, []);
+    }
+    partitions.get(pattern).push(answer);
+}
+
+console.log(`Ranking second guesses for ${partitions.size} feedback patterns...`);
+const second = {};
+for (const [pattern, candidates] of [...partitions].sort(([a], [b]) => a.localeCompare(b))) {
+    // Candidates go first so that ties prefer a guess that can win
+    const candidateWords = new Set(candidates.map(({ word }) => word));
+    const guesses = [...candidates, ...wordMetadata.filter(({ word }) => !candidateWords.has(word))];
+    
+    const [guess] = rankByEntropy(guesses, candidates, 1);
+    second[pattern] = guess;
+}
+
+// Four decimals are plenty for display and keep the file readable
+const rounded = ({ word, score }) => ({ word, score: Math.round(score * 1e4) / 1e4 });
+
+const book = {
+    wordsHash: hashWords(wordMetadata),
+    priorsHash: hashPriors(wordMetadata),
+    opening: opening.map(rounded),
+    second: Object.fromEntries(Object.entries(second).map(([pattern, guess]) => [pattern, rounded(guess)]))
+};
+
+writeFileSync('./opening-book.json', JSON.stringify(book, null, 2) + '\n');
+console.log(`Opening book written to opening-book.json in ${((Date.now() - started) / 1000).toFixed(1)}s`);
@@ -384,4 +384,415 @@ test('should verify SRNKA is in loaded word list', async () => {
     // Also verify other test words
     assert.ok(words.includes('pisek'), 'PISEK should be in the loaded word list');
     assert.ok(words.includes('skara'), 'SKARA should be in the loaded word list');
-});
\ No newline at end of file
+});
+test('should rank suggestions by expected information in entropy mode', async () => {
+    const { rankSuggestions } = await import('../js/algorithm.js');
+    const testWords = ['krava', 'plast', 'slovo', 'mesto'].map(w => createWordMetadata(w));
+    const constraints = { green: {}, blue: {}, orange: {}, gray: new Set() };
+    
+    const result = rankSuggestions(testWords, constraints, 10, { mode: 'entropy' });
+    
+    assert.strictEqual(result.length, 4, 'Should score every candidate');
+    result.forEach(({ word, score }) => {
+        assert.ok(score <= Math.log2(4) + 1e-9, `${word} cannot gain more than log2(4) bits`);
+    });
+    
+    // Every guess here produces a distinct pattern for each of the four answers
+    assert.ok(Math.abs(result[0].score - 2) < 1e-9, 'Best guess should split all candidates');
+});
+
+test('should score a single remaining candidate with zero entropy', async () => {
+    const { rankSuggestions } = await import('../js/algorithm.js');
+    const testWords = ['krava', 'plast'].map(w => createWordMetadata(w));
+    const constraints = { green: { 0: 'k' }, blue: {}, orange: {}, gray: new Set() };
+    
+    const result = rankSuggestions(testWords, constraints, 10, { mode: 'entropy' });
+    
+    assert.deepStrictEqual(result, [{ word: 'krava', score: 0 }]);
+});
+
+// Tests for Wordle.cz feedback computation
+test('computeFeedback should return state codes for known games', async () => {
+    const { computeFeedback } = await import('../js/algorithm.js');
+    
+    assert.deepStrictEqual(computeFeedback('pisek', 'srnka'), [0, 0, 1, 0, 1], 'PISEK → SRNKA');
+    assert.deepStrictEqual(computeFeedback('skara', 'srnka'), [3, 1, 0, 1, 3], 'SKARA → SRNKA');
+    assert.deepStrictEqual(computeFeedback('srnka', 'srnka'), [3, 3, 3, 3, 3], 'Solved word is all green');
+    assert.deepStrictEqual(computeFeedback('stroj', 'motor'), [0, 1, 1, 2, 0], 'STROJ → MOTOR');
+});
+
+test('computeFeedback should mark exact matches blue when the letter appears elsewhere', async () => {
+    const { computeFeedback } = await import('../js/algorithm.js');
+    
+    // D at position 2 is exact, the answer has another D at position 0
+    assert.deepStrictEqual(computeFeedback('radlo', 'dudek'), [0, 0, 2, 0, 0]);
+    // Both Ds are exact and there is no other D left - both green
+    assert.deepStrictEqual(computeFeedback('dedic', 'dudek'), [3, 1, 3, 0, 0]);
+    // A at position 3 is exact, another A at position 1 is not guessed
+    assert.deepStrictEqual(computeFeedback('pirat', 'napad'), [1, 0, 0, 2, 0]);
+});
+
+test('computeFeedback should limit orange to the number of unmatched occurrences', async () => {
+    const { computeFeedback } = await import('../js/algorithm.js');
+    
+    // TATKA has two Ts, TEPNA only one (exact) - the second T is gray
+    assert.deepStrictEqual(computeFeedback('tatka', 'tepna'), [3, 0, 0, 0, 3]);
+    // Two unmatched As in LAZAR: first two copies orange, third gray
+    assert.deepStrictEqual(computeFeedback('ataka', 'lazar'), [1, 0, 1, 0, 0]);
+    // Blue A at the end, the other copies compete for one remaining A
+    assert.deepStrictEqual(computeFeedback('ataka', 'nadra'), [1, 0, 0, 0, 2]);
+});
+
+test('computeFeedback should normalize case and diacritics', async () => {
+    const { computeFeedback } = await import('../js/algorithm.js');
+    
+    assert.deepStrictEqual(computeFeedback('PÍSEK', 'Srnka'), computeFeedback('pisek', 'srnka'));
+});
+
+// Tests for the per-row knowledge model
+test('deriveKnowledge should track min/max counts and positions per letter', async () => {
+    const { deriveKnowledge } = await import('../js/algorithm.js');
+    
+    // ATAKA against MAMKA: orange A, gray T, gray A, green K, blue A
+    const { letters } = deriveKnowledge([{ word: 'ATAKA', states: [1, 0, 0, 3, 2] }]);
+    
+    assert.deepStrictEqual({ min: letters.a.min, max: letters.a.max }, { min: 2, max: 2 }, 'A appears exactly twice');
+    assert.deepStrictEqual([...letters.a.positions], [4]);
+    assert.deepStrictEqual([...letters.a.forbidden].sort(), [0, 2]);
+    assert.deepStrictEqual({ min: letters.t.min, max: letters.t.max }, { min: 0, max: 0 }, 'T is absent');
+    assert.deepStrictEqual({ min: letters.k.min, max: letters.k.max }, { min: 1, max: 1 }, 'Green K is the only K');
+});
+
+test('per-row knowledge should keep MAMKA for a blue letter with a gray copy', () => {
+    const words = ['mamka', 'matka', 'kakao', 'tatka'].map(w => createWordMetadata(w));
+    // ATAKA against MAMKA
+    const rows = [{ word: 'ataka', states: [1, 0, 0, 3, 2] }];
+    
+    assert.deepStrictEqual(filterWords(words, { rows }), ['mamka']);
+});
+
+test('per-row knowledge should keep BABKA for a letter orange, gray and blue in one row', () => {
+    const words = ['babka', 'banka', 'magma', 'bobek'].map(w => createWordMetadata(w));
+    // AGAMA against BABKA
+    const rows = [{ word: 'agama', states: [1, 0, 0, 0, 2] }];
+    
+    assert.deepStrictEqual(filterWords(words, { rows }), ['babka', 'banka']);
+});
+
+test('per-row knowledge should not merge a letter gray in one row and orange in another', () => {
+    const words = ['lazar', 'palas', 'kazar'].map(w => createWordMetadata(w));
+    const rows = [
+        { word: 'ataka', states: [1, 0, 1, 0, 0] },
+        { word: 'lampa', states: [3, 2, 0, 0, 1] }
+    ];
+    
+    assert.deepStrictEqual(filterWords(words, { rows }), ['lazar']);
+});
+
+test('per-row knowledge should not let a later row overwrite a green position', () => {
+    const words = ['krava', 'prava'].map(w => createWordMetadata(w));
+    const rows = [
+        { word: 'kopie', states: [3, 0, 0, 0, 0] },
+        { word: 'pravo', states: [3, 3, 3, 3, 0] }
+    ];
+    
+    assert.deepStrictEqual(filterWords(words, { rows }), [], 'Two green letters at one position cannot both hold');
+});
+
+// Tests for word explanations
+test('explainWord should report every failing rule with its source row', async () => {
+    const { explainWord } = await import('../js/algorithm.js');
+    const rows = [
+        { word: 'pisek', states: [0, 0, 1, 0, 1] },
+        { word: 'skara', states: [3, 1, 0, 1, 3] }
+    ];
+    
+    const result = explainWord('PARKY', { rows });
+    
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.violation, { type: 'position', letter: 's', position: 0, row: 1 },
+        'Positions are checked first');
+    
+    const types = result.violations.map(({ type, letter }) => `${type}:${letter}`);
+    assert.ok(types.includes('max:p'), 'Gray P is reported once as a count violation');
+    assert.ok(!types.includes('forbidden:p'), 'Gray P is not reported again as a position');
+    assert.ok(types.includes('position:a'), 'Missing green A at position 4');
+    assert.ok(types.includes('min:s'), 'S required by both rows');
+    
+    const missingA = result.violations.find(({ type, letter }) => type === 'position' && letter === 'a');
+    assert.strictEqual(missingA.row, 1, 'Green A comes from the second row');
+});
+
+test('explainWord should accept a matching word', async () => {
+    const { explainWord } = await import('../js/algorithm.js');
+    const rows = [{ word: 'pisek', states: [0, 0, 1, 0, 1] }];
+    
+    assert.deepStrictEqual(explainWord('SRNKA', { rows }), { valid: true, violation: null, violations: [] });
+});
+
+// Tests for hard mode
+test('findHardModeViolation should require reused green, blue and orange letters', async () => {
+    const { findHardModeViolation } = await import('../js/algorithm.js');
+    // RADLO against DUDEK: blue D at position 2; DEDIC: green Ds, orange E
+    const constraints = { rows: [
+        { word: 'radlo', states: [0, 0, 2, 0, 0] },
+        { word: 'dedic', states: [3, 1, 3, 0, 0] }
+    ] };
+    
+    assert.strictEqual(findHardModeViolation('dudek', constraints), null);
+    assert.deepStrictEqual(findHardModeViolation('dobro', constraints),
+        { type: 'position', letter: 'd', position: 2, row: 0, expected: 1 });
+    assert.deepStrictEqual(findHardModeViolation('dodat', constraints),
+        { type: 'missing', letter: 'e', position: 1, row: 1, expected: 1 });
+});
+
+test('rankSuggestions should only rank hard-mode-legal guesses', async () => {
+    const { rankSuggestions, findHardModeViolation } = await import('../js/algorithm.js');
+    const words = ['srnka', 'sraka', 'skala', 'sklad'].map(w => createWordMetadata(w));
+    const constraints = { rows: [{ word: 'pisek', states: [0, 0, 1, 0, 1] }] };
+    
+    const result = rankSuggestions(words, constraints, 10, { mode: 'entropy', hardMode: true });
+    
+    assert.ok(result.length > 0, 'Should rank candidates');
+    result.forEach(({ word }) => {
+        assert.strictEqual(findHardModeViolation(word, constraints), null, `${word} should be legal`);
+    });
+});
+
+// Tests for probe guesses
+test('rankProbes should prefer a non-candidate that splits xARKA words', async () => {
+    const { rankProbes } = await import('../js/algorithm.js');
+    const words = ['barka', 'varka', 'jarka', 'parka', 'marka', 'bjpvm', 'srnka']
+        .map(w => createWordMetadata(w));
+    // Only the first letter is unknown
+    const constraints = { rows: [{ word: 'xarka', states: [0, 3, 3, 3, 3] }] };
+    
+    const result = rankProbes(words, constraints, 3);
+    
+    assert.strictEqual(result[0].word, 'bjpvm', 'Testing five differing letters at once wins');
+    assert.ok(Math.abs(result[0].score - Math.log2(5)) < 1e-9, 'Probe tells all five candidates apart');
+    assert.ok(!result.some(({ word }) => word.endsWith('arka')), 'Candidates are not probes');
+});
+
+test('rankProbes should return nothing for two or fewer candidates', async () => {
+    const { rankProbes } = await import('../js/algorithm.js');
+    const words = ['barka', 'varka', 'srnka'].map(w => createWordMetadata(w));
+    const constraints = { rows: [{ word: 'xarka', states: [0, 3, 3, 3, 3] }] };
+    
+    assert.deepStrictEqual(rankProbes(words, constraints), []);
+});
+
+// Tests for repairing dead ends
+test('findRepairs should find the single mis-clicked cell', async () => {
+    const { findRepairs, computeFeedback } = await import('../js/algorithm.js');
+    const words = ['srnka', 'skoba', 'skola', 'lampa'].map(w => createWordMetadata(w));
+    const states = computeFeedback('skara', 'srnka');
+    states[1] = 3; // K clicked green instead of orange
+    
+    const repairs = findRepairs(words, [{ word: 'SKARA', states }]);
+    
+    const [fix] = repairs.filter(({ words }) => words.includes('srnka'));
+    assert.ok(fix, 'SRNKA should be reachable');
+    assert.deepStrictEqual(fix.changes, [{ row: 0, position: 1, letter: 'k', from: 3, to: 1 }]);
+    assert.ok(repairs.every(({ changes }) => changes.length === 1), 'Only the fewest changes are offered');
+});
+
+test('findRepairs should not count swapped orange and gray copies', async () => {
+    const { findRepairs } = await import('../js/algorithm.js');
+    const words = ['babka'].map(w => createWordMetadata(w));
+    // AGAMA against BABKA is [1, 0, 0, 0, 2]; the orange/gray A copies are swapped
+    // and the last A is gray instead of blue
+    const rows = [{ word: 'AGAMA', states: [0, 0, 1, 0, 0] }];
+    
+    const [fix] = findRepairs(words, rows);
+    
+    assert.deepStrictEqual(fix.changes, [{ row: 0, position: 4, letter: 'a', from: 0, to: 2 }]);
+    assert.strictEqual(fix.count, 1);
+});
+
+test('findRepairs should return nothing when words still match', async () => {
+    const { findRepairs } = await import('../js/algorithm.js');
+    const words = ['srnka', 'skala'].map(w => createWordMetadata(w));
+    
+    assert.deepStrictEqual(findRepairs(words, [{ word: 'SRNKA', states: [3, 3, 3, 3, 3] }]), []);
+});
+
+// Tests for uncolored boxes
+test('unset boxes should not exclude their letters', async () => {
+    const { LETTER_STATES } = await import('../js/algorithm.js');
+    const U = LETTER_STATES.UNSET;
+    const words = ['pisek', 'lampa', 'kolem'].map(w => createWordMetadata(w));
+    
+    const untouched = { rows: [{ word: 'PISEK', states: [U, U, U, U, U] }] };
+    assert.deepStrictEqual(filterWords(words, untouched), ['pisek', 'lampa', 'kolem']);
+    
+    const partly = { rows: [{ word: 'PISEK', states: [0, U, U, U, U] }] };
+    assert.deepStrictEqual(filterWords(words, partly), ['kolem'], 'Only the colored P is gray');
+});
+
+test('unset copy of a letter should lift the count cap of its row', async () => {
+    const { deriveKnowledge, LETTER_STATES } = await import('../js/algorithm.js');
+    const U = LETTER_STATES.UNSET;
+    
+    // First A green, last A not colored yet: the word may have one or two A's
+    const { letters } = deriveKnowledge([{ word: 'KAPLA', states: [0, 3, 0, 0, U] }]);
+    assert.strictEqual(letters.a.min, 1);
+    assert.strictEqual(letters.a.max, 2);
+    assert.ok(!letters.a.forbidden.has(4), 'Unset box forbids nothing');
+    
+    const gray = deriveKnowledge([{ word: 'KAPLA', states: [0, 1, 0, 0, U] }]).letters;
+    assert.strictEqual(gray.a.max, 5, 'Without a gray copy of A there is no cap');
+});
+
+// Tests for boxes uncertain between two colors
+test('uncertain box should keep words of either color', async () => {
+    const { matchInterpretation } = await import('../js/algorithm.js');
+    const words = ['parta', 'karta', 'marta', 'kasta'].map(w => createWordMetadata(w));
+    const rows = [{ word: 'KARTA', states: [[0, 3], 3, 3, 3, 3] }];
+    
+    assert.deepStrictEqual(filterWords(words, { rows }), ['parta', 'karta', 'marta']);
+    assert.deepStrictEqual(matchInterpretation('karta', rows), [{ row: 0, position: 0, state: 3 }]);
+    assert.deepStrictEqual(matchInterpretation('parta', rows), [{ row: 0, position: 0, state: 0 }]);
+    assert.strictEqual(matchInterpretation('kasta', rows), null);
+});
+
+test('explainWord and hard mode should accept any reading of uncertain boxes', async () => {
+    const { explainWord, findHardModeViolation } = await import('../js/algorithm.js');
+    const constraints = { rows: [{ word: 'KARTA', states: [[0, 3], 3, 3, 3, 3] }] };
+    
+    const result = explainWord('KARTA', constraints);
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.interpretation, [{ row: 0, position: 0, state: 3 }]);
+    assert.strictEqual(explainWord('KASTA', constraints).valid, false);
+    
+    assert.strictEqual(findHardModeViolation('PARTA', constraints), null, 'K may be gray');
+    assert.ok(findHardModeViolation('PASTA', constraints), 'R is green in every reading');
+});
+
+test('explainWord and hard mode should agree with filtering for many uncertain boxes', async () => {
+    const { explainWord, findHardModeViolation, compileConstraints, computeFeedback, parseWordsFromContent } = await import('../js/algorithm.js');
+    const { readFileSync } = await import('fs');
+    const words = parseWordsFromContent(readFileSync('./words.txt', 'utf-8').trim());
+    
+    // Every box of the first two rows is unsure between its color and another one,
+    // far more readings of the whole grid than MAX_INTERPRETATIONS
+    const unsure = (guess) => computeFeedback(guess, 'srnka').map(state => [state, state === 0 ? 1 : 0]);
+    const constraints = { rows: [
+        { word: 'PISEK', states: unsure('pisek') },
+        { word: 'LAMPA', states: unsure('lampa') },
+        { word: 'SRNKA', states: [[2, 3], 3, 3, 3, 3] }
+    ] };
+    const matches = compileConstraints(constraints);
+    
+    for (const word of ['srnka', 'trnka', ...words.filter((_, index) => index % 20 === 0).map(meta => meta.word)]) {
+        assert.strictEqual(explainWord(word, constraints).valid, matches(createWordMetadata(word)), word);
+    }
+    assert.strictEqual(findHardModeViolation('SRNKA', constraints), null);
+    assert.deepStrictEqual(
+        findHardModeViolation('TRNKA', constraints),
+        { type: 'position', letter: 's', position: 0, row: 2, expected: 1 },
+        'S stays at the first position in every reading of the last row'
+    );
+});
+
+// Tests for the letter-by-position heatmap
+test('positionFrequencies should count letters per position, most frequent first', async () => {
+    const { positionFrequencies } = await import('../js/algorithm.js');
+    const positions = positionFrequencies(['parta', 'karta', 'marta', 'kasta']);
+    
+    assert.deepStrictEqual(positions[0], [
+        { letter: 'k', count: 2, share: 0.5 },
+        { letter: 'm', count: 1, share: 0.25 },
+        { letter: 'p', count: 1, share: 0.25 }
+    ]);
+    assert.deepStrictEqual(positions[4], [{ letter: 'a', count: 4, share: 1 }]);
+});
+
+test('letterCountBounds should report exact and minimum counts', async () => {
+    const { letterCountBounds } = await import('../js/algorithm.js');
+    // Two green A's and a gray copy: exactly 2; orange S: at least 1
+    const rows = [{ word: 'ASALA', states: [0, 1, 3, 0, 3] }];
+    
+    assert.deepStrictEqual(letterCountBounds(rows), [
+        { letter: 'a', min: 2, max: 2, exact: true },
+        { letter: 's', min: 1, max: 5, exact: false }
+    ]);
+});
+
+test('rankSuggestions should only rank words with the selected letter at a position', async () => {
+    const { rankSuggestions } = await import('../js/algorithm.js');
+    const words = ['parta', 'karta', 'marta', 'kasta'].map(w => createWordMetadata(w));
+    const letterAt = { position: 0, letter: 'k' };
+    
+    for (const mode of ['frequency', 'entropy']) {
+        const ranked = rankSuggestions(words, { rows: [] }, 10, { mode, letterAt }).map(({ word }) => word);
+        assert.deepStrictEqual(ranked.sort(), ['karta', 'kasta'], mode);
+    }
+});
+
+test('parseFrequencies should read word counts into word priors', async () => {
+    const { parseFrequencies, parseWordsFromContent } = await import('../js/algorithm.js');
+    const frequencies = parseFrequencies('# slovo počet\nPÍSEK 120\nkarta 5 # vzácné\nrozbité\n');
+    
+    assert.deepStrictEqual([...frequencies], [['pisek', 120], ['karta', 5]]);
+    
+    const [pisek, karta, marta] = parseWordsFromContent('pisekkartamarta', frequencies);
+    assert.ok(pisek.prior > karta.prior, 'Common word weighs more');
+    assert.ok(karta.prior > marta.prior, 'Listed word weighs more than an unlisted one');
+    assert.strictEqual(marta.prior, 1);
+});
+
+test('rankByEntropy should break symmetric ties toward common words', async () => {
+    const { parseFrequencies, parseWordsFromContent, rankByEntropy, hashPriors } = await import('../js/algorithm.js');
+    const uniform = parseWordsFromContent('kartapartamarta');
+    const weighted = parseWordsFromContent('kartapartamarta', parseFrequencies('parta 1000\nkarta 1'));
+    
+    assert.deepStrictEqual(rankByEntropy(uniform, uniform).map(({ word }) => word), ['karta', 'parta', 'marta']);
+    assert.strictEqual(rankByEntropy(weighted, weighted)[0].word, 'parta');
+    assert.strictEqual(hashPriors(uniform), null, 'Uniform priors need no fingerprint');
+    assert.match(hashPriors(weighted), /^[0-9a-f]{8}$/);
+});
+
+test('answerProbabilities should sum to one and follow the priors', async () => {
+    const { parseFrequencies, parseWordsFromContent, answerProbabilities } = await import('../js/algorithm.js');
+    const probabilities = answerProbabilities(parseWordsFromContent('kartapartamarta', parseFrequencies('parta 1000')));
+    const total = [...probabilities.values()].reduce((sum, p) => sum + p, 0);
+    
+    assert.ok(Math.abs(total - 1) < 1e-9);
+    assert.ok(probabilities.get('parta') > probabilities.get('karta'));
+    assert.strictEqual(probabilities.get('karta'), probabilities.get('marta'));
+});
+
+test('loadWordFrequencies should treat an HTML fallback page as no list', async () => {
+    const { loadWordFrequencies } = await import('../js/algorithm.js');
+    const responses = [
+        new Response('<!DOCTYPE html><html></html>', { headers: { 'content-type': 'text/html' } }),
+        new Response('<!DOCTYPE html><html></html>'),
+        new Response('pisek 12\n', { headers: { 'content-type': 'text/plain; charset=utf-8' } })
+    ];
+    
+    // Pretend to be the browser, where the list is fetched
+    globalThis.window = {};
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => responses.shift();
+    try {
+        assert.strictEqual(await loadWordFrequencies(), null, 'HTML content type');
+        assert.strictEqual(await loadWordFrequencies(), null, 'HTML content');
+        assert.deepStrictEqual([...await loadWordFrequencies()], [['pisek', 12]]);
+    } finally {
+        delete globalThis.window;
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('bundled frequency list should carry its license and leave out vulgar words', async () => {
+    const { loadWordFrequencies } = await import('../js/algorithm.js');
+    const { readFileSync } = await import('fs');
+    const frequencies = await loadWordFrequencies();
+    
+    assert.match(readFileSync('./frequencies.txt', 'utf-8'), /^# License: CC BY-SA 4\.0/m);
+    assert.ok(frequencies.get('prace') > 0, 'Everyday words are listed');
+    for (const word of ['kurva', 'prdel', 'hovno']) {
+        assert.strictEqual(frequencies.has(word), false, `${word} keeps the default weight`);
+    }
+});
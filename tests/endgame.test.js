@@ -0,0 +1,56 @@
+// Endgame solver tests
+// Run with: node --test endgame.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { solveEndgame } from '../js/endgame.js';
+
+// Helper to create word metadata
+function createWordMetadata(word) {
+    const chars = [...word];
+    const letterCounts = {};
+    
+    for (const letter of chars) {
+        letterCounts[letter] = (letterCounts[letter] || 0) + 1;
+    }
+    
+    return { word, chars, letterCounts };
+}
+
+const xarka = ['barka', 'varka', 'marka', 'parka'].map(w => createWordMetadata(w));
+
+test('should solve a single candidate in one guess', () => {
+    const result = solveEndgame([createWordMetadata('srnka')]);
+    assert.deepStrictEqual(result, { guess: 'srnka', worstCase: 1, expected: 1 });
+});
+
+test('should need at most two guesses for two candidates', () => {
+    const result = solveEndgame(xarka.slice(0, 2));
+    
+    assert.strictEqual(result.worstCase, 2);
+    assert.strictEqual(result.expected, 1.5, 'Half of the time the first guess wins');
+});
+
+test('should find worst case of candidate-only play', () => {
+    // Guessing xARKA words one by one: every miss leaves the rest together
+    const result = solveEndgame(xarka);
+    
+    assert.strictEqual(result.worstCase, 4);
+    assert.strictEqual(result.expected, 2.5);
+});
+
+test('should prefer a probe that separates all candidates', () => {
+    const probe = createWordMetadata('bvmpx');
+    const result = solveEndgame(xarka, { guesses: [probe] });
+    
+    assert.deepStrictEqual(result, { guess: 'bvmpx', worstCase: 2, expected: 2 });
+});
+
+test('should give up when the time budget is exhausted', () => {
+    const result = solveEndgame(xarka, { timeBudget: -1 });
+    assert.strictEqual(result, null);
+});
+
+test('should return null without candidates', () => {
+    assert.strictEqual(solveEndgame([]), null);
+});
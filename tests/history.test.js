@@ -0,0 +1,70 @@
+// Grid history tests
+// Run with: node --test history.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { GridHistory } from '../js/history.js';
+
+const empty = [];
+const added = [{ word: 'PISEK', states: [4, 4, 4, 4, 4] }];
+const colored = [{ word: 'PISEK', states: [0, 1, [2, 3], 4, 4] }];
+
+test('should undo and redo recorded steps in order', () => {
+    const history = new GridHistory();
+    history.record('add', empty, added);
+    history.record('state', added, colored);
+    
+    assert.deepStrictEqual(history.undo(), { type: 'state', rows: added });
+    assert.deepStrictEqual(history.undo(), { type: 'add', rows: empty });
+    assert.strictEqual(history.undo(), null);
+    assert.strictEqual(history.canUndo, false);
+    
+    assert.deepStrictEqual(history.redo(), { type: 'add', rows: added });
+    assert.deepStrictEqual(history.redo(), { type: 'state', rows: colored });
+    assert.strictEqual(history.redo(), null);
+});
+
+test('should drop redo steps after a new change and ignore unchanged grids', () => {
+    const history = new GridHistory();
+    history.record('add', empty, added);
+    history.undo();
+    
+    assert.strictEqual(history.record('state', empty, empty), false, 'Nothing changed');
+    assert.strictEqual(history.canRedo, true);
+    
+    history.record('restore', empty, colored);
+    assert.strictEqual(history.canRedo, false);
+});
+
+test('should copy snapshots so later grid edits do not leak in', () => {
+    const history = new GridHistory();
+    const rows = [{ word: 'PISEK', states: [0, 0, [1, 2], 0, 0] }];
+    history.record('add', empty, rows);
+    rows[0].states[0] = 3;
+    rows[0].states[2].push(3);
+    
+    history.undo();
+    assert.deepStrictEqual(history.redo().rows, [{ word: 'PISEK', states: [0, 0, [1, 2], 0, 0] }]);
+});
+
+test('should drop the oldest steps beyond the limit', () => {
+    const history = new GridHistory(2);
+    history.record('add', empty, added);
+    history.record('state', added, colored);
+    history.record('clear', colored, empty);
+    
+    assert.ok(history.undo());
+    assert.ok(history.undo());
+    assert.strictEqual(history.undo(), null, 'First step was dropped');
+});
+
+test('should undo a row added with typed colors in one step', () => {
+    // WordleApp adds "PISEK XOOXX" as a single 'add' step with its colors
+    const history = new GridHistory();
+    const typed = [{ word: 'PISEK', states: [0, 1, 1, 0, 0] }];
+    history.record('add', empty, typed);
+    
+    assert.deepStrictEqual(history.undo(), { type: 'add', rows: empty }, 'The whole row is removed');
+    assert.strictEqual(history.canUndo, false, 'No uncolored row is left to undo');
+    assert.deepStrictEqual(history.redo().rows, typed);
+});
@@ -4,9 +4,14 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { WordleSolver } from '../js/solver.js';
+import { validateGridConsistency } from '../js/validation.js';
+import { filterWords, explainWord, parseWordsFromContent, parseFrequencies, hashWords } from '../js/algorithm.js';
+
+// Keep test runs from writing the pattern cache
+const noCache = { patternCache: { persist: false } };
 
 test('Integration: solver should work with optimized algorithm', async () => {
-    const solver = new WordleSolver();
+    const solver = new WordleSolver(null, noCache);
     await solver.wordsPromise;
     
     // Test basic filtering
@@ -18,15 +23,16 @@ test('Integration: solver should work with optimized algorithm', async () => {
     };
     
     const suggestions = await solver.getSuggestions(constraints, 10);
+    const words = suggestions.map(({ word }) => word);
     
-    console.log('Suggestions found:', suggestions);
-    assert.ok(suggestions.includes('srnka'), 'Should find SRNKA');
+    console.log('Suggestions found:', words);
+    assert.ok(words.includes('srnka'), 'Should find SRNKA');
     assert.ok(suggestions.length > 0, 'Should have suggestions');
     assert.ok(suggestions.length <= 10, 'Should respect limit');
 });
 
 test('Integration: word existence check should work', async () => {
-    const solver = new WordleSolver();
+    const solver = new WordleSolver(null, noCache);
     
     assert.ok(await solver.wordExists('SRNKA'), 'SRNKA should exist');
     assert.ok(await solver.wordExists('pisek'), 'pisek should exist');
@@ -34,7 +40,7 @@ test('Integration: word existence check should work', async () => {
 });
 
 test('Integration: should handle empty constraints efficiently', async () => {
-    const solver = new WordleSolver();
+    const solver = new WordleSolver(null, noCache);
     const constraints = {
         green: {},
         blue: {},
@@ -51,8 +57,9 @@ test('Integration: should handle empty constraints efficiently', async () => {
 });
 
 test('Integration: performance should be acceptable', async () => {
-    const solver = new WordleSolver();
+    const solver = new WordleSolver(null, noCache);
     await solver.wordsPromise;
+    await solver.matrixPromise; // Cache loading must not count as filtering time
     
     const constraints = {
         green: { 0: 's' },
@@ -69,4 +76,175 @@ test('Integration: performance should be acceptable', async () => {
     assert.ok(result.length > 0, 'Should find matching words');
     console.log(`Filter time for ${result.length} results: ${time / 1000000n}ms`);
     assert.ok(time < 10_000_000n, 'Should complete in under 10ms');
-});
\ No newline at end of file
+});
+
+test('Integration: compiled filtering should beat per-word rule checks', async () => {
+    const solver = new WordleSolver(null, noCache);
+    await solver.wordsPromise;
+    
+    const constraints = { rows: [
+        { word: 'PISEK', states: [0, 0, 1, 0, 1] },
+        { word: 'SKARA', states: [3, 1, 0, 1, 3] }
+    ] };
+    
+    let start = process.hrtime.bigint();
+    const compiled = filterWords(solver.wordMetadata, constraints);
+    const compiledTime = process.hrtime.bigint() - start;
+    
+    start = process.hrtime.bigint();
+    const reference = solver.wordMetadata
+        .filter(({ word }) => explainWord(word, constraints).valid)
+        .map(({ word }) => word);
+    const referenceTime = process.hrtime.bigint() - start;
+    
+    console.log(`Compiled filter: ${compiledTime / 1000n}µs, per-word rules: ${referenceTime / 1000n}µs`);
+    assert.deepStrictEqual(compiled, reference, 'Both should find the same words');
+    assert.ok(compiledTime < referenceTime, 'Compiled filter should be faster');
+});
+
+test('Integration: entropy ranking should expose scores', async () => {
+    const solver = new WordleSolver(null, noCache);
+    await solver.wordsPromise;
+    
+    const constraints = {
+        green: { 0: 's', 4: 'a' },
+        blue: {},
+        orange: {},
+        gray: new Set(['p', 'i', 'e'])
+    };
+    
+    const suggestions = await solver.getSuggestions(constraints, 10, { mode: 'entropy' });
+    
+    assert.ok(suggestions.length > 0, 'Should have suggestions');
+    suggestions.forEach(({ word, score }) => {
+        assert.strictEqual(word.length, 5, `${word} should have 5 letters`);
+        assert.ok(score >= 0, `${word} should have a non-negative score`);
+    });
+    
+    const scores = suggestions.map(({ score }) => score);
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a), 'Should be sorted by score');
+});
+test('Integration: solver should explain excluded words', async () => {
+    const solver = new WordleSolver(null, noCache);
+    const constraints = { rows: [{ word: 'PISEK', states: [0, 0, 1, 0, 1] }] };
+    
+    const excluded = await solver.explainWord('PARKY', constraints);
+    assert.strictEqual(excluded.valid, false, 'PARKY contains gray P');
+    assert.strictEqual(excluded.inDictionary, true);
+    
+    const unknown = await solver.explainWord('XXXXX', constraints);
+    assert.strictEqual(unknown.inDictionary, false, 'XXXXX is not a dictionary word');
+});
+
+test('Integration: solver should solve small endgames exactly', async () => {
+    const solver = new WordleSolver(null, noCache);
+    const constraints = { rows: [{ word: 'XARKA', states: [0, 3, 3, 3, 3] }] };
+    
+    const result = await solver.solveEndgame(constraints, { timeBudget: 1000 });
+    
+    assert.ok(result, 'Five candidates should be searched exhaustively');
+    assert.strictEqual(result.worstCase, 3, 'No single probe separates all five xARKA words');
+    
+    const tooMany = await solver.solveEndgame({ rows: [] });
+    assert.strictEqual(tooMany, null, 'Large candidate sets are not searched');
+});
+
+test('Integration: opening book should answer the first two rows', async () => {
+    const solver = new WordleSolver(null, noCache);
+    const book = await solver.bookPromise;
+    
+    assert.ok(book, 'opening-book.json should match the bundled word list');
+    
+    const opening = await solver.getSuggestions({ rows: [] }, 5, { mode: 'entropy' });
+    assert.deepStrictEqual(opening.map(({ word, score }) => ({ word, score })), book.opening.slice(0, 5), 'Empty grid uses the book');
+    assert.ok(opening.every(({ probability }) => probability > 0 && probability < 1), 'Each word may be the answer');
+    
+    const first = book.opening[0].word.toUpperCase();
+    const [pattern, entry] = Object.entries(book.second)[0];
+    const constraints = { rows: [{ word: first, states: [...pattern].map(Number) }] };
+    const suggestions = await solver.getSuggestions(constraints, 10, { mode: 'entropy' });
+    const probes = await solver.getProbeSuggestions(constraints, 10, { mode: 'entropy' });
+    
+    assert.ok(
+        [suggestions[0], probes[0]].some(({ word }) => word === entry.word),
+        `Book guess ${entry.word} should lead suggestions or probes`
+    );
+});
+
+test('Integration: opening book for another word list should be ignored', async () => {
+    const words = ['pisek', 'lampa', 'kolem'].map(word => ({
+        word,
+        chars: [...word],
+        letterCounts: [...word].reduce((counts, c) => ({ ...counts, [c]: (counts[c] || 0) + 1 }), {})
+    }));
+    const book = { wordsHash: '00000000', opening: [{ word: 'xxxxx', score: 9 }], second: {} };
+    const solver = new WordleSolver(words, { openingBook: book, ...noCache });
+    
+    assert.strictEqual(await solver.bookPromise, null, 'Hash mismatch drops the book');
+    
+    const suggestions = await solver.getSuggestions({ rows: [] }, 5, { mode: 'entropy' });
+    assert.ok(!suggestions.some(({ word }) => word === 'xxxxx'), 'Book words should not leak');
+});
+
+test('Integration: opening book built with other word frequencies should be ignored', async () => {
+    const words = parseWordsFromContent('piseklampakolem', parseFrequencies('lampa 500'));
+    const book = { wordsHash: hashWords(words), opening: [{ word: 'pisek', score: 1 }], second: {} };
+    const solver = new WordleSolver(words, { openingBook: book, ...noCache });
+    
+    assert.strictEqual(await solver.bookPromise, null, 'Book without priors hash is stale');
+    
+    const [best] = await solver.getSuggestions({ rows: [] }, 5, { mode: 'entropy' });
+    assert.strictEqual(best.word, 'lampa', 'Common word leads');
+    assert.ok(best.probability > 1 / 3);
+});
+
+test('Integration: contradictory grids should still get repairs', async () => {
+    const solver = new WordleSolver(null, noCache);
+    // K clicked gray in the first row although the second row has it green
+    const rows = [
+        { word: 'PISEK', states: [0, 0, 1, 0, 0] },
+        { word: 'SRNKA', states: [3, 3, 3, 3, 3] }
+    ];
+    
+    assert.strictEqual(validateGridConsistency(rows).isValid, false, 'Validator flags the grid');
+    
+    const repairs = await solver.findRepairs({ rows });
+    assert.ok(repairs.some(({ changes, words }) =>
+        changes.length === 1 && changes[0].row === 0 && changes[0].position === 4 &&
+        changes[0].to === 1 && words.includes('srnka')
+    ), 'Fix turns the gray K orange');
+});
+
+test('Integration: candidates should be filtered incrementally per row', async () => {
+    const solver = new WordleSolver(null, noCache);
+    await solver.wordsPromise;
+    
+    const pisek = { word: 'PISEK', states: [0, 0, 1, 0, 1] };
+    const skara = { word: 'SKARA', states: [3, 1, 0, 1, 3] };
+    
+    const counts = await solver.getRowCandidateCounts({ rows: [pisek, skara] });
+    assert.deepStrictEqual(counts, [
+        filterWords(solver.wordMetadata, { rows: [pisek] }).length,
+        filterWords(solver.wordMetadata, { rows: [pisek, skara] }).length
+    ]);
+    assert.strictEqual(counts[1], 1, 'Only SRNKA is left');
+    
+    // Recolouring the last row keeps the first row's candidates
+    const firstRow = solver.rowCache[0];
+    const recoloured = { ...skara, states: [3, 1, 0, 0, 3] };
+    await solver.getRowCandidateCounts({ rows: [pisek, recoloured] });
+    assert.strictEqual(solver.rowCache[0], firstRow, 'Unchanged row should be reused');
+    
+    // Recolouring the first row recomputes everything after it
+    const recolouredFirst = { ...pisek, states: [0, 0, 1, 0, 0] };
+    const recomputed = await solver.getRowCandidateCounts({ rows: [recolouredFirst, skara] });
+    assert.notStrictEqual(solver.rowCache[0], firstRow);
+    assert.deepStrictEqual(recomputed, [
+        filterWords(solver.wordMetadata, { rows: [recolouredFirst] }).length,
+        filterWords(solver.wordMetadata, { rows: [recolouredFirst, skara] }).length
+    ]);
+    assert.deepStrictEqual(
+        await solver.filterWords({ rows: [recolouredFirst, skara] }),
+        filterWords(solver.wordMetadata, { rows: [recolouredFirst, skara] })
+    );
+});
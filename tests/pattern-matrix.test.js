@@ -0,0 +1,118 @@
+// Pattern matrix tests
+// Run with: node --test pattern-matrix.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseWordsFromContent, computeFeedback } from '../js/algorithm.js';
+import { PatternMatrix, SOLVED_PATTERN } from '../js/pattern-matrix.js';
+
+const words = parseWordsFromContent('pisekskarasrnkababkamamka');
+
+// Decodes a base-4 feedback key back into states
+function decode(key) {
+    return [...key.toString(4).padStart(5, '0')].map(Number);
+}
+
+// Runs a test body with the cache in a temporary directory
+async function inTempDir(body) {
+    const dir = mkdtempSync(join(tmpdir(), 'pattern-matrix-'));
+    try {
+        await body(join(dir, '.cache'));
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('should match computeFeedback for every pair', () => {
+    const matrix = new PatternMatrix(words);
+    
+    for (const guess of words) {
+        for (const answer of words) {
+            assert.deepStrictEqual(
+                decode(matrix.pattern(guess, answer)),
+                computeFeedback(guess.word, answer.word),
+                `${guess.word} → ${answer.word}`
+            );
+        }
+    }
+    assert.strictEqual(matrix.pattern(words[0], words[0]), SOLVED_PATTERN);
+});
+
+test('should build rows lazily', () => {
+    const matrix = new PatternMatrix(words);
+    
+    assert.strictEqual(matrix.patterns, null, 'Nothing is allocated before use');
+    matrix.pattern(words[2], words[0]);
+    assert.deepStrictEqual([...matrix.builtRows], [0, 0, 1, 0, 0], 'Only the guess row is built');
+});
+
+test('should fall back to direct computation for foreign words', () => {
+    const matrix = new PatternMatrix(words);
+    const [foreign] = parseWordsFromContent('lampa');
+    
+    assert.deepStrictEqual(decode(matrix.pattern(foreign, words[4])), computeFeedback('lampa', 'mamka'));
+    assert.deepStrictEqual([...matrix.builtRows], [0, 0, 0, 0, 0], 'Foreign guesses do not touch the matrix');
+});
+
+test('should persist built rows and reload them', async () => {
+    await inTempDir(async (cacheDir) => {
+        const matrix = await PatternMatrix.load(words, { cacheDir });
+        matrix.row(1);
+        await matrix.save();
+        
+        assert.deepStrictEqual(readdirSync(cacheDir), ['pattern-matrix.bin'], 'Cache file should be written in place');
+        
+        const reloaded = await PatternMatrix.load(words, { cacheDir });
+        assert.deepStrictEqual([...reloaded.builtRows], [0, 1, 0, 0, 0]);
+        assert.deepStrictEqual(reloaded.row(1), matrix.row(1));
+        assert.strictEqual(reloaded.dirty, false, 'Cached rows need no rebuild');
+    });
+});
+
+test('should ignore the cache when the word list changes', async () => {
+    await inTempDir(async (cacheDir) => {
+        const matrix = await PatternMatrix.load(words, { cacheDir });
+        matrix.row(0);
+        await matrix.save();
+        
+        const changed = parseWordsFromContent('pisekskarasrnkababkalampa');
+        const reloaded = await PatternMatrix.load(changed, { cacheDir });
+        assert.deepStrictEqual([...reloaded.builtRows], [0, 0, 0, 0, 0], 'Stale rows should be dropped');
+        assert.deepStrictEqual(decode(reloaded.pattern(changed[0], changed[4])), computeFeedback('pisek', 'lampa'));
+    });
+});
+
+test('should ignore a truncated cache', async () => {
+    await inTempDir(async (cacheDir) => {
+        const matrix = await PatternMatrix.load(words, { cacheDir });
+        matrix.row(1);
+        await matrix.save();
+        
+        const path = join(cacheDir, 'pattern-matrix.bin');
+        const buffer = readFileSync(path);
+        writeFileSync(path, buffer.subarray(0, buffer.length - 10));
+        
+        const reloaded = await PatternMatrix.load(words, { cacheDir });
+        assert.deepStrictEqual([...reloaded.builtRows], [0, 0, 0, 0, 0], 'Truncated rows should be rebuilt');
+        assert.deepStrictEqual(decode(reloaded.pattern(words[1], words[4])), computeFeedback('skara', 'mamka'));
+    });
+});
+
+test('should neither read nor write the cache when persistence is off', async () => {
+    await inTempDir(async (cacheDir) => {
+        const cached = await PatternMatrix.load(words, { cacheDir });
+        cached.row(0);
+        await cached.save();
+        
+        const matrix = await PatternMatrix.load(words, { cacheDir, persist: false });
+        assert.deepStrictEqual([...matrix.builtRows], [0, 0, 0, 0, 0], 'Cached rows are not read');
+        matrix.row(3);
+        await matrix.save();
+        
+        const reloaded = await PatternMatrix.load(words, { cacheDir });
+        assert.deepStrictEqual([...reloaded.builtRows], [1, 0, 0, 0, 0], 'Nothing was written');
+    });
+});
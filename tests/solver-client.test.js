@@ -0,0 +1,71 @@
+// Solver client tests (in-process fallback used by Node.js)
+// Run with: node --test solver-client.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { SolverClient, SolverCancelledError } from '../js/solver-client.js';
+import { WordleSolver } from '../js/solver.js';
+
+// Keep test runs from writing the pattern cache
+const noCache = { patternCache: { persist: false } };
+
+const constraints = { rows: [{ word: 'PISEK', states: [0, 0, 1, 0, 1] }] };
+
+test('SolverClient should match WordleSolver results', async () => {
+    const client = new SolverClient(noCache);
+    const solver = new WordleSolver(null, noCache);
+    const options = { mode: 'entropy', limit: 10, probeLimit: 5 };
+    
+    assert.ok(await client.wordsPromise > 0, 'Should report loaded words');
+    
+    const { suggestions, probes, endgame, count } = await client.analyze(constraints, options);
+    assert.deepStrictEqual(suggestions, await solver.getSuggestions(constraints, 10, options));
+    assert.deepStrictEqual(probes, await solver.getProbeSuggestions(constraints, 5, options));
+    assert.deepStrictEqual(endgame, await solver.solveEndgame(constraints, options));
+    assert.strictEqual(count, (await solver.filterWords(constraints)).length, 'Should count all possible words');
+    
+    assert.strictEqual(await client.wordExists('pisek'), true);
+});
+
+test('SolverClient should cancel superseded requests on a channel', async () => {
+    const client = new SolverClient(noCache);
+    await client.wordsPromise;
+    
+    const stale = client.analyze({ rows: [] }, { mode: 'entropy' });
+    const latest = client.analyze(constraints, { mode: 'entropy' });
+    
+    await assert.rejects(stale, SolverCancelledError, 'Older analysis should be cancelled');
+    const result = await latest;
+    assert.ok(result.suggestions.length > 0, 'Latest analysis should resolve');
+    
+    // Requests outside the channel are never cancelled
+    const [exists, explained] = await Promise.all([
+        client.wordExists('lampa'),
+        client.explainWord('PARKY', constraints),
+        client.analyze(constraints, { mode: 'entropy' })
+    ]);
+    assert.strictEqual(exists, true);
+    assert.strictEqual(explained.valid, false);
+});
+
+test('SolverClient should fall back to the main thread when the worker fails', async () => {
+    // A module worker that fails to load only reports an error event
+    class FailingWorker extends EventTarget {
+        postMessage() {
+            setTimeout(() => this.dispatchEvent(new Event('error')), 0);
+        }
+        terminate() {}
+    }
+    globalThis.Worker = FailingWorker;
+    
+    try {
+        const client = new SolverClient({ useWorker: true, ...noCache });
+        const pending = client.wordExists('pisek');
+        
+        assert.ok(await client.wordsPromise > 0, 'Readiness is answered by the local solver');
+        await assert.rejects(pending, /Solver worker failed/, 'Calls sent to the worker are rejected');
+        assert.strictEqual(await client.wordExists('pisek'), true, 'Later calls run locally');
+    } finally {
+        delete globalThis.Worker;
+    }
+});
@@ -0,0 +1,30 @@
+// URL state tests
+// Run with: node --test url-state.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { parseGameStateFromUrl, serializeGameState } from '../js/url-state.js';
+
+test('should restore links created before the unset state', () => {
+    const parsed = parseGameStateFromUrl('?slovo=PISEK00101&slovo=SKARA31013');
+    
+    assert.deepStrictEqual(parsed, [
+        { word: 'PISEK', states: [0, 0, 1, 0, 1] },
+        { word: 'SKARA', states: [3, 1, 0, 1, 3] }
+    ]);
+});
+
+test('should encode uncolored boxes as 4 and reject unknown states', () => {
+    const parsed = parseGameStateFromUrl('?slovo=PISEK44104&slovo=SKARA51013');
+    
+    assert.deepStrictEqual(parsed, [{ word: 'PISEK', states: [4, 4, 1, 0, 4] }], 'State 5 is invalid');
+});
+
+test('should round-trip uncertain boxes as letters', () => {
+    const states = [[0, 2], 1, [2, 3], 4, 3];
+    const row = { getLetterBoxes: () => states.map(stateValue => ({ stateValue })) };
+    
+    const [slovo] = serializeGameState(['PISEK'], [row]);
+    assert.strictEqual(slovo, 'PISEKb1f43');
+    assert.deepStrictEqual(parseGameStateFromUrl(`?slovo=${slovo}`), [{ word: 'PISEK', states }]);
+});
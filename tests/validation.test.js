@@ -1,5 +1,8 @@
 // Tests for validation utilities
-import { validateWordInput, validateGreenLetterConstraints, validateWordAddition, normalizeAndValidateWord } from '../js/validation.js';
+import {
+    validateWordInput, validateGreenLetterConstraints, validateGridConsistency, validateWordAddition, normalizeAndValidateWord,
+    parseFeedbackPattern, parseGuessInput
+} from '../js/validation.js';
 import assert from 'assert';
 
 // Mock solver for testing
@@ -62,6 +65,37 @@ try {
     console.error('✗ Czech diacritics validation failed:', error);
 }
 
+// Test hard mode validation
+console.log('\nTesting hard mode validation...');
+
+try {
+    const hardModeSolver = {
+        async wordExists() {
+            return true;
+        }
+    };
+    // PISEK: S orange at position 3, K green at position 5
+    const constraints = { rows: [{ word: 'PISEK', states: [0, 0, 1, 0, 3] }] };
+    
+    const legal = await validateWordInput('SRNEK', hardModeSolver, { hardMode: true, constraints });
+    assert.strictEqual(legal.isValid, true, 'Guess reusing all hints should pass');
+    
+    const misplaced = await validateWordInput('SRNKA', hardModeSolver, { hardMode: true, constraints });
+    assert.strictEqual(misplaced.isValid, false, 'Green K must stay at position 5');
+    assert.strictEqual(misplaced.message, 'Těžký režim: na 5. pozici musí být písmeno K (1. řádek)');
+    
+    const missing = await validateWordInput('BODAK', hardModeSolver, { hardMode: true, constraints });
+    assert.strictEqual(missing.isValid, false, 'Orange S must be reused');
+    assert.strictEqual(missing.message, 'Těžký režim: slovo musí obsahovat písmeno S (1. řádek, 3. pozice)');
+    
+    const normalMode = await validateWordInput('BODAK', hardModeSolver, { hardMode: false, constraints });
+    assert.strictEqual(normalMode.isValid, true, 'Hints are optional outside hard mode');
+    
+    console.log('✓ Hard mode validation works correctly');
+} catch (error) {
+    console.error('✗ Hard mode validation failed:', error);
+}
+
 // Test validateWordAddition
 console.log('\nTesting word addition validation...');
 
@@ -144,4 +178,90 @@ try {
     console.error('✗ Green letter constraint validation failed:', error);
 }
 
+// Test validateGridConsistency
+console.log('\nTesting grid consistency validation...');
+
+try {
+    const cellKeys = ({ cells }) => cells.map(({ row, position }) => `${row}:${position}`).sort();
+    
+    // Real game with a letter green twice in one row
+    const dudek = validateGridConsistency([
+        { word: 'RADLO', states: [0, 0, 2, 0, 0] },
+        { word: 'DEDIC', states: [3, 1, 3, 0, 0] }
+    ]);
+    assert.strictEqual(dudek.isValid, true, 'Two green copies in one row are consistent');
+    
+    // Gray letter without other copies is green in another row
+    const grayGreen = validateGridConsistency([
+        { word: 'PISEK', states: [0, 0, 0, 0, 0] },
+        { word: 'SKARA', states: [3, 0, 0, 0, 0] }
+    ]);
+    assert.strictEqual(grayGreen.isValid, false);
+    assert.strictEqual(grayGreen.conflicts[0].type, 'count');
+    assert.deepStrictEqual(cellKeys(grayGreen.conflicts[0]), ['0:2', '1:0']);
+    assert.match(grayGreen.conflicts[0].message, /Písmeno S/);
+    
+    // Blue where a different letter is green
+    const blueGreen = validateGridConsistency([
+        { word: 'SKOLA', states: [0, 3, 0, 0, 1] },
+        { word: 'PARTY', states: [0, 2, 0, 0, 0] }
+    ]);
+    const position = blueGreen.conflicts.find(({ type }) => type === 'position');
+    assert.ok(position, 'Different letters at one position should conflict');
+    assert.deepStrictEqual(cellKeys(position), ['0:1', '1:1']);
+    
+    // Orange letter confirmed at the same position later
+    const forbidden = validateGridConsistency([
+        { word: 'SKOLA', states: [1, 0, 0, 0, 0] },
+        { word: 'SPORT', states: [3, 0, 0, 0, 0] }
+    ]);
+    assert.strictEqual(forbidden.conflicts[0].type, 'forbidden');
+    
+    // More required letters than five slots
+    const total = validateGridConsistency([
+        { word: 'ABCDE', states: [1, 1, 1, 1, 1] },
+        { word: 'FGHIJ', states: [1, 0, 0, 0, 0] }
+    ]);
+    assert.strictEqual(total.conflicts[0].type, 'total');
+    
+    // Three letters that may only stand at two positions
+    const slots = validateGridConsistency([
+        { word: 'XXABC', states: [0, 0, 1, 1, 1] },
+        { word: 'XXBCA', states: [0, 0, 1, 1, 1] },
+        { word: 'XXCAB', states: [0, 0, 1, 1, 1] }
+    ]);
+    assert.strictEqual(slots.conflicts[0].type, 'slots');
+    assert.strictEqual(slots.conflicts[0].cells.length, 9, 'All orange cells take part');
+    
+    // Uncertain gray/green S: the gray reading avoids the conflict
+    const uncertain = validateGridConsistency([
+        { word: 'PISEK', states: [0, 0, 0, 0, 0] },
+        { word: 'SKARA', states: [[0, 3], 0, 0, 0, 0] }
+    ]);
+    assert.strictEqual(uncertain.isValid, true);
+    
+    console.log('✓ Grid consistency validation works correctly');
+} catch (error) {
+    console.error('✗ Grid consistency validation failed:', error);
+}
+
+// Test feedback pattern parsing
+console.log('\nTesting feedback pattern parsing...');
+
+try {
+    assert.deepStrictEqual(parseFeedbackPattern('XOOBG').states, [0, 1, 1, 2, 3]);
+    assert.deepStrictEqual(parseFeedbackPattern('xoobg').states, [0, 1, 1, 2, 3], 'Case-insensitive');
+    assert.deepStrictEqual(parseFeedbackPattern('01234').states, [0, 1, 2, 3, 4]);
+    assert.deepStrictEqual(parseFeedbackPattern('⬜🟨🟦🟩⬜').states, [0, 1, 2, 3, 0]);
+    assert.strictEqual(parseFeedbackPattern('XOOX').isValid, false);
+    assert.match(parseFeedbackPattern('XOOXZ').message, /"Z"/);
+    
+    assert.deepStrictEqual(parseGuessInput(' pisek XOOXX '), { word: 'PISEK', pattern: 'XOOXX' });
+    assert.deepStrictEqual(parseGuessInput('PISEK'), { word: 'PISEK', pattern: null });
+    
+    console.log('✓ Feedback pattern parsing works correctly');
+} catch (error) {
+    console.error('✗ Feedback pattern parsing failed:', error);
+}
+
 console.log('\nAll validation utility tests completed!');
\ No newline at end of file
@@ -3,7 +3,8 @@
 
 import { test } from 'node:test';
 import assert from 'node:assert';
-import { filterWords, parseWordsFromContent, getSuggestions } from '../js/algorithm.js';
+import { filterWords, parseWordsFromContent, getSuggestions, computeFeedback, explainWord, LETTER_STATES } from '../js/algorithm.js';
+import { parseFeedbackPattern } from '../js/validation.js';
 import { readFileSync } from 'fs';
 
 // Load real words once
@@ -19,7 +20,7 @@ const wordDatabase = parseWordsFromContent(content);
  *   { word: 'SKARA', feedback: 'GGXOG' }
  * ], 'SRNKA');
  *
- * Feedback legend:
+ * Feedback legend (parsed by parseFeedbackPattern, the grammar of the UI input):
  * - X = Gray (not in word)
  * - O = Orange (in word, wrong position)
  * - G = Green (correct position)
@@ -41,26 +42,26 @@ function testWordleScenario(name, attempts, solution) {
             console.log(`Attempt ${index + 1}: ${word} → ${feedback}`);
 
             const chars = [...word.toUpperCase()];
-            const feedbackChars = [...feedback.toUpperCase()];
+            const { states } = parseFeedbackPattern(feedback);
 
             // Update constraints based on feedback
-            feedbackChars.forEach((fb, pos) => {
+            states.forEach((state, pos) => {
                 const letter = chars[pos].toLowerCase();
 
-                switch(fb) {
-                    case 'G': // Green
+                switch(state) {
+                    case LETTER_STATES.GREEN:
                         constraints.green[pos] = letter;
                         break;
-                    case 'B': // Blue
+                    case LETTER_STATES.BLUE:
                         constraints.blue[pos] = letter;
                         break;
-                    case 'O': // Orange
+                    case LETTER_STATES.ORANGE:
                         if (!constraints.orange[letter]) {
                             constraints.orange[letter] = [];
                         }
                         constraints.orange[letter].push(pos);
                         break;
-                    case 'X': // Gray
+                    case LETTER_STATES.GRAY:
                         // Only add to gray if not already in green, blue, or orange
                         const inGreen = Object.values(constraints.green).includes(letter);
                         const inBlue = Object.values(constraints.blue).includes(letter);
@@ -131,33 +132,29 @@ function testScenario(attempts, solution) {
         console.log(`   Colors: ${colors}`);
 
         const chars = [...word.toUpperCase()];
-        const colorArray = [...colors.toUpperCase()
-            .replace(/🟩/g, 'G')
-            .replace(/🟨/g, 'O')
-            .replace(/⬜/g, 'X')
-            .replace(/🟦/g, 'B')];
+        const { states } = parseFeedbackPattern(colors);
 
         // Update constraints
-        colorArray.forEach((color, pos) => {
+        states.forEach((state, pos) => {
             const letter = chars[pos].toLowerCase();
 
-            switch(color) {
-                case 'G':
+            switch(state) {
+                case LETTER_STATES.GREEN:
                     constraints.green[pos] = letter;
                     console.log(`   ✓ ${letter.toUpperCase()} is at position ${pos + 1} (green)`);
                     break;
-                case 'B':
+                case LETTER_STATES.BLUE:
                     constraints.blue[pos] = letter;
                     console.log(`   ✓ ${letter.toUpperCase()} is at position ${pos + 1} and appears elsewhere (blue)`);
                     break;
-                case 'O':
+                case LETTER_STATES.ORANGE:
                     if (!constraints.orange[letter]) {
                         constraints.orange[letter] = [];
                     }
                     constraints.orange[letter].push(pos);
                     console.log(`   ~ ${letter.toUpperCase()} is in word but NOT at position ${pos + 1} (orange)`);
                     break;
-                case 'X':
+                case LETTER_STATES.GRAY:
                     // Only add to gray if not already in green, blue, or orange
                     const inGreen = Object.values(constraints.green).includes(letter);
                     const inBlue = Object.values(constraints.blue).includes(letter);
@@ -450,3 +447,98 @@ test('Green letter validation: same letter at different positions should be inva
     assert.ok(!isValid, 'Should detect same letter green at different positions (2nd and 4th word)');
     console.log('✓ Green letter validation correctly detects same letter at different positions');
 });
+
+/**
+ * Builds UI-style constraints from a single row of feedback states
+ */
+function constraintsFromFeedback(guess, states) {
+    const constraints = { green: {}, blue: {}, orange: {}, gray: new Set() };
+
+    states.forEach((state, pos) => {
+        const letter = guess[pos];
+        if (state === 3) constraints.green[pos] = letter;
+        else if (state === 2) constraints.blue[pos] = letter;
+        else if (state === 1) (constraints.orange[letter] ??= []).push(pos);
+        else constraints.gray.add(letter);
+    });
+
+    return constraints;
+}
+
+/**
+ * Whether a row has a gray copy of a letter that is also blue or orange twice
+ */
+function hasRepeatedLetterFeedback(constraints) {
+    return [...constraints.gray].some(letter =>
+        Object.values(constraints.blue).includes(letter) ||
+        (constraints.orange[letter] || []).length > 1
+    );
+}
+
+/**
+ * Plays a sample of guesses against every word and collects answers that the
+ * constraint rules reject although computeFeedback produced the feedback
+ */
+function crossCheckFeedback(includeRow) {
+    const failures = [];
+    const guesses = wordDatabase.filter((_, index) => index % 100 === 0);
+
+    for (const guess of guesses) {
+        for (const answer of wordDatabase) {
+            const constraints = constraintsFromFeedback(guess.word, computeFeedback(guess.word, answer.word));
+            if (!includeRow(constraints)) continue;
+
+            if (filterWords([answer], constraints).length === 0) {
+                failures.push(`${guess.word} → ${answer.word}`);
+            }
+        }
+    }
+
+    return failures;
+}
+
+test('computeFeedback agrees with constraint rules for single-row feedback', () => {
+    const failures = crossCheckFeedback(constraints => !hasRepeatedLetterFeedback(constraints));
+    assert.deepStrictEqual(failures.slice(0, 10), [], `${failures.length} answers rejected by their own feedback`);
+});
+
+test('computeFeedback agrees with per-row knowledge for every feedback', () => {
+    const failures = [];
+    const guesses = wordDatabase.filter((_, index) => index % 100 === 0);
+
+    for (const guess of guesses) {
+        for (const answer of wordDatabase) {
+            const rows = [{ word: guess.word, states: computeFeedback(guess.word, answer.word) }];
+
+            if (filterWords([answer], { rows }).length === 0) {
+                failures.push(`${guess.word} → ${answer.word}`);
+            }
+        }
+    }
+
+    assert.deepStrictEqual(failures.slice(0, 10), [], `${failures.length} answers rejected by their own feedback`);
+});
+
+test('compiled filtering accepts exactly the words explainWord accepts', () => {
+    const failures = [];
+    const answers = wordDatabase.filter((_, index) => index % 300 === 7);
+    const guesses = ['pisek', 'babka', 'mamka', 'terka'];
+
+    for (const answer of answers) {
+        const rows = guesses.map(word => ({ word, states: computeFeedback(word, answer.word) }));
+
+        for (let count = 1; count <= rows.length; count++) {
+            const constraints = { rows: rows.slice(0, count) };
+            const compiled = filterWords(wordDatabase, constraints);
+            const explained = wordDatabase
+                .filter(({ word }) => explainWord(word, constraints).valid)
+                .map(({ word }) => word);
+
+            if (compiled.join() !== explained.join()) {
+                failures.push(`${answer.word} after ${count} rows`);
+            }
+        }
+    }
+
+    assert.deepStrictEqual(failures, [], 'Compiled predicate should match the per-rule check');
+});